@@ -5,7 +5,7 @@
  * This creates the final deployable version of Get Fluent Now
  */
 
-import { readFileSync, writeFileSync, unlinkSync, readdirSync, statSync } from 'fs';
+import { readFileSync, writeFileSync, copyFileSync, existsSync, unlinkSync, readdirSync, statSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -14,6 +14,7 @@ const __dirname = dirname(__filename);
 
 const DIST_DIR = join(__dirname, '..', 'dist');
 const OUTPUT_FILE = join(__dirname, '..', 'index.html');
+const SERVICE_WORKER_FILE = join(__dirname, '..', 'sw.js');
 
 function inlineAssets() {
     try {
@@ -78,6 +79,13 @@ function inlineAssets() {
         writeFileSync(OUTPUT_FILE, html, 'utf8');
         console.log(`✅ Created single-file build: ${OUTPUT_FILE}`);
         
+        // The service worker must be a separate file served next to index.html
+        const swFile = join(DIST_DIR, 'sw.js');
+        if (existsSync(swFile)) {
+            copyFileSync(swFile, SERVICE_WORKER_FILE);
+            console.log(`✅ Copied service worker: ${SERVICE_WORKER_FILE}`);
+        }
+        
         // Clean up - remove the dist directory assets (keep the directory for potential future use)
         try {
             const files = readdirSync(DIST_DIR);
@@ -0,0 +1,107 @@
+import { getRecord, getAllRecords, putRecord, deleteRecord, clearStore } from '../utils/db.js';
+import { RESPONSE_CACHE } from '../utils/constants.js';
+
+/**
+ * LLM Response Cache
+ * Persists generated text in IndexedDB keyed by a SHA-256 hash of everything
+ * that determines the response, so identical requests are answered locally.
+ * Cache failures never fail a request: they are logged and treated as misses.
+ */
+
+const STORE = 'responseCache';
+
+/**
+ * SHA-256 hex digest of a JSON-serializable value
+ */
+export async function hashKey(value) {
+    const data = new TextEncoder().encode(JSON.stringify(value));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+export class ResponseCache {
+    constructor({ ttlHours = RESPONSE_CACHE.ttlHours, maxEntries = RESPONSE_CACHE.maxEntries } = {}) {
+        this.configure({ ttlHours, maxEntries });
+    }
+
+    /**
+     * Update the time-to-live (hours, 0 disables caching) and size limit
+     */
+    configure({ ttlHours = this.ttlHours, maxEntries = this.maxEntries } = {}) {
+        this.ttlHours = Math.max(0, Number(ttlHours) || 0);
+        this.maxEntries = Math.max(1, Math.round(Number(maxEntries)) || RESPONSE_CACHE.maxEntries);
+    }
+
+    /**
+     * Whether responses are cached at all
+     */
+    isEnabled() {
+        return this.ttlHours > 0 &&
+            typeof indexedDB !== 'undefined' &&
+            typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    /**
+     * Cached text for a key, or null when missing or expired
+     */
+    async get(key) {
+        if (!this.isEnabled()) return null;
+
+        try {
+            const record = await getRecord(STORE, key);
+            if (!record) return null;
+
+            if (Date.now() - record.createdAt > this.ttlHours * 60 * 60 * 1000) {
+                await deleteRecord(STORE, key);
+                return null;
+            }
+
+            return record.text;
+        } catch (error) {
+            console.warn('Response cache read failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store text for a key, evicting the oldest entries beyond the size limit
+     */
+    async set(key, text) {
+        if (!this.isEnabled()) return;
+
+        try {
+            await putRecord(STORE, { key, text, createdAt: Date.now() });
+            await this.prune();
+        } catch (error) {
+            console.warn('Response cache write failed:', error);
+        }
+    }
+
+    /**
+     * Evict the oldest entries beyond maxEntries
+     */
+    async prune() {
+        const records = await getAllRecords(STORE, 'createdAt');
+        const excess = records.slice(0, Math.max(0, records.length - this.maxEntries));
+        for (const record of excess) {
+            await deleteRecord(STORE, record.key);
+        }
+    }
+
+    /**
+     * Number of cached responses
+     */
+    async count() {
+        const records = await getAllRecords(STORE);
+        return records.length;
+    }
+
+    /**
+     * Remove every cached response
+     */
+    async clear() {
+        await clearStore(STORE);
+    }
+}
\ No newline at end of file
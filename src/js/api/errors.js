@@ -0,0 +1,128 @@
+/**
+ * AI Service Errors
+ * Typed errors for the ways an LLM request can fail. Each type carries a
+ * user-facing message and the recovery actions the UI should offer:
+ *   'retry'        - run the failed action again
+ *   'switch-model' - move to a lighter model
+ *   'reenter-key'  - open the API settings to fix the key
+ */
+
+export class AIServiceError extends Error {
+    constructor(message, { status = null, retryAfter = null, cause = null } = {}) {
+        super(message);
+        this.name = 'AIServiceError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.cause = cause;
+        this.userMessage = 'The AI service returned an error. Please try again.';
+        this.recoveryActions = ['retry'];
+    }
+}
+
+export class InvalidApiKeyError extends AIServiceError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'InvalidApiKeyError';
+        this.userMessage = 'Your API key was rejected. Check that it is correct and has access to this model.';
+        this.recoveryActions = ['reenter-key'];
+    }
+}
+
+export class QuotaExceededError extends AIServiceError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'QuotaExceededError';
+        this.userMessage = this.retryAfter
+            ? `You've hit the rate limit for this model. Try again in ${Math.ceil(this.retryAfter)}s or switch to a lighter model.`
+            : "You've hit the rate limit or quota for this model. Wait a moment or switch to a lighter model.";
+        this.recoveryActions = ['retry', 'switch-model'];
+    }
+}
+
+export class SafetyBlockedError extends AIServiceError {
+    constructor(message, { blockReason = null, ...options } = {}) {
+        super(message, options);
+        this.name = 'SafetyBlockedError';
+        this.blockReason = blockReason;
+        this.userMessage = `The request was blocked by the AI's safety filters${blockReason ? ` (${blockReason})` : ''}. Try a different theme or rephrase your text.`;
+        this.recoveryActions = ['retry'];
+    }
+}
+
+export class NetworkError extends AIServiceError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NetworkError';
+        this.userMessage = "Couldn't reach the AI service. Check your internet connection and try again.";
+        this.recoveryActions = ['retry'];
+    }
+}
+
+export class MalformedJSONError extends AIServiceError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'MalformedJSONError';
+        this.userMessage = "The AI's answer came back in an unexpected format. Trying again usually fixes this.";
+        this.recoveryActions = ['retry', 'switch-model'];
+    }
+}
+
+export class EmptyCandidateError extends AIServiceError {
+    constructor(message, { finishReason = null, ...options } = {}) {
+        super(message, options);
+        this.name = 'EmptyCandidateError';
+        this.finishReason = finishReason;
+        this.userMessage = `The AI returned an empty answer${finishReason ? ` (${finishReason})` : ''}. Try again or switch models.`;
+        this.recoveryActions = ['retry', 'switch-model'];
+    }
+}
+
+/**
+ * Typed error for a non-OK HTTP response
+ */
+export function errorFromResponse(status, body, retryAfter = null) {
+    const message = `API Error ${status}: ${body}`;
+    const options = { status, retryAfter };
+
+    // Gemini answers an unknown key with 400 API_KEY_INVALID
+    if (status === 401 || status === 403 || /API_KEY_INVALID|API key not valid/i.test(body)) {
+        return new InvalidApiKeyError(message, options);
+    }
+    if (status === 429) {
+        return new QuotaExceededError(message, options);
+    }
+    return new AIServiceError(message, options);
+}
+
+/**
+ * Parse a JSON response body, throwing MalformedJSONError on failure
+ */
+export function parseJSONResponse(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new MalformedJSONError(`Could not parse AI response as JSON: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Whether a failure would repeat on any other request right now, so
+ * fallback requests (other formats, per-sentence grading) are pointless
+ */
+export function isPersistentError(error) {
+    return error.name === 'AbortError' ||
+        error instanceof InvalidApiKeyError ||
+        error instanceof QuotaExceededError ||
+        error instanceof NetworkError ||
+        error instanceof SafetyBlockedError;
+}
+
+/**
+ * Make sure an error is an AIServiceError (AbortErrors pass through)
+ */
+export function toAIServiceError(error) {
+    if (error instanceof AIServiceError || error.name === 'AbortError') {
+        return error;
+    }
+    return new AIServiceError(`AI service error: ${error.message}`, { cause: error });
+}
\ No newline at end of file
@@ -1,14 +1,75 @@
-import { geminiModels } from '../utils/constants.js';
+import { createProvider } from './providers.js';
+import { hashKey } from './cache.js';
+import { RequestScheduler } from './scheduler.js';
+import {
+    InvalidApiKeyError,
+    QuotaExceededError,
+    NetworkError,
+    MalformedJSONError,
+    isPersistentError,
+    toAIServiceError
+} from './errors.js';
+import { validateResponse, buildRepairPrompt, applyDefaults } from './schema-validator.js';
+import {
+    storySchema,
+    sentenceEvaluationSchema,
+    sentenceRatingSchema,
+    miniLessonSchema,
+    exerciseGradeSchema,
+    glossSchema,
+    pronunciationFeedbackSchema,
+    placementComprehensionSchema,
+    placementSentenceSchema,
+    placementGradeSchema
+} from './schemas.js';
+import { errorCategories, geminiModelFallbacks, STRUCTURED_OUTPUT, GLOSS } from '../utils/constants.js';
+
+/**
+ * Keep well-formed sentence errors whose category is in the taxonomy
+ */
+export function normalizeErrors(errors) {
+    if (!Array.isArray(errors)) return [];
+
+    return errors
+        .filter(error => error && Object.hasOwn(errorCategories, error.category) && typeof error.span === 'string' && error.span.trim())
+        .map(error => ({
+            category: error.category,
+            span: error.span.trim(),
+            correction: typeof error.correction === 'string' ? error.correction.trim() : ''
+        }));
+}
 
 /**
  * Gemini API wrapper class
- * Handles all interactions with Google's Gemini API
+ * Handles all interactions with the language model. Requests are routed
+ * through a pluggable provider (Gemini by default, or an OpenAI-compatible
+ * / Ollama endpoint) so every feature method works against any backend.
+ * Non-streamed and streamed requests go through an optional ResponseCache;
+ * pass { cache: false } for calls that should produce fresh text every time.
+ * Requests that reach the API are queued and retried by a RequestScheduler,
+ * and their token usage is reported to an optional usage tracker tagged with
+ * the feature that made the call (story, rating, lesson, chat or other).
  */
 export class GeminiAPI {
-    constructor(apiKey, model = 'flash-lite') {
+    constructor(apiKey, model = 'flash-lite', providerSettings = {}, { cache = null, scheduler = new RequestScheduler(), usageTracker = null } = {}) {
         this.apiKey = apiKey;
+        this.cache = cache;
+        this.scheduler = scheduler;
+        this.usageTracker = usageTracker;
         this.model = model;
-        this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+        this.providerType = providerSettings.type || 'gemini';
+        this.provider = createProvider(this.providerType, {
+            apiKey,
+            baseUrl: providerSettings.baseUrl,
+            // Gemini uses our geminiModels keys, other providers a raw model name
+            model: this.providerType === 'gemini' ? model : providerSettings.modelName
+        });
+        this.generationConfig = {
+            temperature: 0.7,
+            topK: 40,
+            topP: 0.95,
+            maxOutputTokens: 2048
+        };
     }
 
     /**
@@ -16,126 +77,165 @@ export class GeminiAPI {
      */
     setModel(model) {
         this.model = model;
+        if (this.providerType === 'gemini') {
+            this.provider.setModel(model);
+        }
     }
 
     /**
-     * Get the full API endpoint for the current model
+     * Build a provider-neutral request for a prompt, optionally after earlier
+     * conversation turns ([{ role: 'user' | 'model', text }])
      */
-    getEndpoint() {
-        const modelName = geminiModels[this.model];
-        return `${this.baseUrl}/${modelName}:generateContent`;
+    buildRequest(prompt, systemPrompt = null, schema = null, history = []) {
+        return {
+            messages: [...history, { role: 'user', text: prompt }],
+            systemPrompt,
+            schema,
+            generationConfig: { ...this.generationConfig }
+        };
     }
 
     /**
-     * Make a request to the Gemini API
+     * Cache key covering the provider, endpoint, model, API key and full request
      */
-    async makeRequest(prompt, systemPrompt = null) {
-        try {
-            const messages = [];
-            
-            if (systemPrompt) {
-                messages.push({
-                    role: "user",
-                    parts: [{ text: systemPrompt }]
-                });
-                messages.push({
-                    role: "model", 
-                    parts: [{ text: "I understand. I'll follow these instructions carefully." }]
-                });
+    async getCacheKey(request) {
+        return await hashKey({
+            provider: this.providerType,
+            baseUrl: this.provider.baseUrl,
+            model: this.provider.model,
+            apiKey: this.apiKey,
+            request
+        });
+    }
+
+    /**
+     * Send a request through the response cache when it is enabled.
+     * Structured responses are only cached once they match their schema.
+     */
+    async generateWithCache(request, { cache = true, stream = false, onText, signal, feature = 'other' } = {}) {
+        const key = cache && this.cache?.isEnabled() ? await this.getCacheKey(request) : null;
+
+        if (key) {
+            const cached = await this.cache.get(key);
+            if (cached !== null) {
+                if (onText) onText(cached, cached);
+                return cached;
             }
-            
-            messages.push({
-                role: "user",
-                parts: [{ text: prompt }]
-            });
+        }
 
-            const response = await fetch(`${this.getEndpoint()}?key=${this.apiKey}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    contents: messages,
-                    generationConfig: {
-                        temperature: 0.7,
-                        topK: 40,
-                        topP: 0.95,
-                        maxOutputTokens: 2048
-                    }
-                })
-            });
+        const result = await this.sendRequest(request, { stream, onText, signal, feature });
 
-            if (!response.ok) {
-                const errorData = await response.text();
-                throw new Error(`API Error ${response.status}: ${errorData}`);
-            }
+        if (key && (!request.schema || validateResponse(result.text, request.schema).issues.length === 0)) {
+            await this.cache.set(key, result.text);
+        }
 
-            const data = await response.json();
-            
-            if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-                throw new Error('No content generated by API');
+        return result.text;
+    }
+
+    /**
+     * Send a request through the scheduler. A rate-limited Gemini model falls
+     * back to the next lighter model right away; once there is no lighter
+     * model left, the scheduler backs off and retries.
+     */
+    async sendRequest(request, { stream = false, onText, signal, feature = 'other' } = {}) {
+        return await this.scheduler.schedule(async () => {
+            let model = this.provider.model;
+
+            while (true) {
+                try {
+                    this.scheduler.recordRequest();
+                    const result = stream
+                        ? await this.provider.stream(request, { onText, signal, model })
+                        : await this.provider.generate(request, { signal, model });
+                    this.scheduler.recordUsage(result.usage);
+                    if (this.usageTracker && result.usage) {
+                        this.usageTracker.record({
+                            feature,
+                            provider: this.providerType,
+                            model: this.providerType === 'gemini' ? model : this.provider.model,
+                            ...result.usage
+                        });
+                    }
+                    return result;
+                } catch (error) {
+                    const fallback = this.providerType === 'gemini' && error.status === 429 && geminiModelFallbacks[model];
+                    if (!fallback) throw error;
+
+                    console.warn(`Rate limited on ${model}, falling back to ${fallback}`);
+                    model = fallback;
+                    this.scheduler.recordFallback();
+                }
             }
+        }, { signal });
+    }
 
-            return data.candidates[0].content.parts[0].text.trim();
+    /**
+     * Make a request to the configured provider
+     */
+    async makeRequest(prompt, systemPrompt = null, { history = [], cache = true, feature } = {}) {
+        try {
+            return await this.generateWithCache(this.buildRequest(prompt, systemPrompt, null, history), { cache, feature });
         } catch (error) {
-            console.error('Gemini API Error:', error);
-            throw new Error(`AI service error: ${error.message}`);
+            console.error('LLM API Error:', error);
+            throw toAIServiceError(error);
         }
     }
 
     /**
      * Make a structured request with JSON schema
      */
-    async makeStructuredRequest(prompt, schema, systemPrompt = null) {
+    async makeStructuredRequest(prompt, schema, systemPrompt = null, { history = [], cache = true, signal, feature } = {}) {
         try {
-            const messages = [];
-            
-            if (systemPrompt) {
-                messages.push({
-                    role: "user",
-                    parts: [{ text: systemPrompt }]
-                });
-                messages.push({
-                    role: "model", 
-                    parts: [{ text: "I understand. I'll follow these instructions carefully." }]
-                });
-            }
-            
-            messages.push({
-                role: "user",
-                parts: [{ text: prompt }]
-            });
-
-            const requestBody = {
-                contents: messages,
-                generationConfig: {
-                    temperature: 0.7,
-                    topK: 40,
-                    topP: 0.95,
-                    maxOutputTokens: 2048,
-                    responseMimeType: "application/json",
-                    responseSchema: schema
-                }
-            };
-
-            const response = await fetch(`${this.getEndpoint()}?key=${this.apiKey}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestBody)
-            });
+            return await this.generateWithCache(this.buildRequest(prompt, systemPrompt, schema, history), { cache, signal, feature });
+        } catch (error) {
+            console.error('LLM API Error:', error);
+            throw toAIServiceError(error);
+        }
+    }
 
-            if (!response.ok) {
-                const errorData = await response.text();
-                throw new Error(`API Error ${response.status}: ${errorData}`);
-            }
+    /**
+     * Make a streaming request; onText(delta, fullText) is called as tokens arrive.
+     * Pass an AbortSignal to cancel mid-stream (rejects with an AbortError).
+     */
+    async makeStreamingRequest(prompt, systemPrompt = null, { onText, signal, history = [], schema = null, cache = true, feature } = {}) {
+        try {
+            const request = this.buildRequest(prompt, systemPrompt, schema, history);
+            return await this.generateWithCache(request, { cache, stream: true, onText, signal, feature });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('LLM API Error:', error);
+            throw toAIServiceError(error);
+        }
+    }
 
-            const data = await response.json();
-            if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-                throw new Error('No content generated by API');
+    /**
+     * Make a structured request and validate the response against its schema.
+     * A response that fails validation is sent back with the list of problems
+     * for a repair (up to STRUCTURED_OUTPUT.repairAttempts times). Returns the
+     * parsed value, which callers should still default if repair didn't fix it;
+     * throws MalformedJSONError if no response parsed as JSON at all.
+     * With onProgress the first response is streamed.
+     */
+    async makeValidatedRequest(prompt, schema, systemPrompt = null, { onProgress, signal, cache = true, feature, label = 'Structured response' } = {}) {
+        let response = onProgress
+            ? await this.makeStreamingRequest(prompt, systemPrompt, { onText: (delta, text) => onProgress(text), signal, schema, cache, feature })
+            : await this.makeStructuredRequest(prompt, schema, systemPrompt, { cache, signal, feature });
+
+        for (let attempt = 0; ; attempt++) {
+            const { value, issues } = validateResponse(response, schema);
+            if (issues.length === 0) return value;
+
+            if (attempt >= STRUCTURED_OUTPUT.repairAttempts) {
+                if (value === null) {
+                    throw new MalformedJSONError(`${label} is not valid JSON`);
+                }
+                console.warn(`${label} still fails its schema after repair:`, issues);
+                return value;
             }
 
-            return data.candidates[0].content.parts[0].text.trim();
-        } catch (error) {
-            console.error('Gemini API Error:', error);
-            throw new Error(`AI service error: ${error.message}`);
+            console.warn(`${label} fails its schema, asking for a repair:`, issues);
+            const history = [{ role: 'user', text: prompt }, { role: 'model', text: response }];
+            response = await this.makeStructuredRequest(buildRepairPrompt(issues), schema, systemPrompt, { history, cache, signal, feature });
         }
     }
 
@@ -144,12 +244,16 @@ export class GeminiAPI {
      */
     async validateApiKey() {
         try {
-            await this.makeRequest('Hello, please respond with "API key validated"');
+            // Always ask the provider: a cached reply can't tell a revoked key from a valid one
+            await this.makeRequest('Hello, please respond with "API key validated"', null, { cache: false });
             return { valid: true };
         } catch (error) {
             return { 
                 valid: false, 
-                error: error.message.includes('403') ? 'Invalid API key' : 'Connection failed'
+                error: error instanceof InvalidApiKeyError ? 'Invalid API key'
+                    : error instanceof QuotaExceededError ? 'Rate limit reached - try again in a moment'
+                    : error instanceof NetworkError ? 'Connection failed - check your internet connection'
+                    : 'Connection failed'
             };
         }
     }
@@ -179,7 +283,8 @@ Requirements:
 
 Generate ONLY the story text, no additional commentary.`;
 
-        return await this.makeRequest(prompt, systemPrompt);
+        // Stories should differ every time, so they bypass the response cache
+        return await this.makeRequest(prompt, systemPrompt, { cache: false, feature: 'story' });
     }
 
     /**
@@ -208,51 +313,17 @@ Requirements:
 
 Break the story into individual sentences for translation practice.`;
 
-        const schema = {
-            type: "object",
-            properties: {
-                sentences: {
-                    type: "array",
-                    items: {
-                        type: "string"
-                    },
-                    minItems: 6,
-                    maxItems: 10,
-                    description: "Array of individual sentences that make up the story (6-10 sentences maximum)"
-                }
-            },
-            required: ["sentences"]
-        };
+        const story = await this.makeValidatedRequest(prompt, storySchema, systemPrompt, { cache: false, feature: 'story', label: 'Story' });
+        const sentences = Array.isArray(story?.sentences)
+            ? story.sentences.filter(sentence => typeof sentence === 'string' && sentence.trim()).map(sentence => sentence.trim())
+            : [];
 
-        try {
-            const response = await this.makeStructuredRequest(prompt, schema, systemPrompt);
-            const parsed = JSON.parse(response);
-            let sentences = parsed.sentences || [];
-            // Ensure max 10 sentences
-            return sentences.slice(0, 10);
-        } catch (error) {
-            console.error('Structured generation failed, falling back to regular generation:', error);
-            // Fallback: use regular generation and parse manually
-            const fallbackResponse = await this.makeRequest(prompt, systemPrompt);
-            
-            // Try to extract JSON from markdown code blocks
-            const jsonMatch = fallbackResponse.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-            if (jsonMatch) {
-                try {
-                    const parsed = JSON.parse(jsonMatch[1]);
-                    let sentences = parsed.sentences || [];
-                    // Ensure max 10 sentences
-                    return sentences.slice(0, 10);
-                } catch (parseError) {
-                    console.error('Failed to parse extracted JSON:', parseError);
-                }
-            }
-            
-            // Final fallback: split by sentences
-            let sentences = fallbackResponse.split(/[.!?]+/).filter(s => s.trim().length > 0).map(s => s.trim() + '.');
-            // Ensure max 10 sentences
-            return sentences.slice(0, 10);
+        if (sentences.length === 0) {
+            throw new MalformedJSONError('Story response contained no sentences');
         }
+
+        // Ensure max 10 sentences
+        return sentences.slice(0, 10);
     }
 
     /**
@@ -289,10 +360,69 @@ Break the story into individual sentences for translation practice.`;
                 grammar: "All grammatical structures, subtle distinctions, stylistic variations",
                 sentences: "Complex sentences (20+ words), sophisticated discourse markers, varied rhetorical devices",
                 complexity: "Nuanced arguments, cultural subtleties, implicit meanings, sophisticated humor"
+            },
+            c2: {
+                vocabulary: "Near-native vocabulary (8000+ words), rare and literary words, colloquialisms, idioms and register shifts",
+                grammar: "Full, flexible command of all structures including rare and literary forms",
+                sentences: "Sentences of any length and structure, varied deliberately for rhythm and emphasis",
+                complexity: "Fine shades of meaning, irony, wordplay, implicit attitudes, culturally specific allusions"
             }
         };
         
-        return specs[level.toLowerCase()]?.[aspect] || '';
+        // "+" levels (e.g. B1+) use the spec of their base level
+        return specs[level.toLowerCase().replace('+', '')]?.[aspect] || '';
+    }
+
+    /**
+     * Gloss the given words of a story, GLOSS.wordsPerRequest words per
+     * request; returns
+     * [{ word, lemma, partOfSpeech, meaning, example }] (words the model
+     * skipped are missing)
+     */
+    async glossStory(sentences, words, language, nativeLanguage) {
+        // Long word lists would overrun the output token limit, so gloss in chunks
+        const chunks = [];
+        for (let start = 0; start < words.length; start += GLOSS.wordsPerRequest) {
+            chunks.push(words.slice(start, start + GLOSS.wordsPerRequest));
+        }
+
+        const results = await Promise.allSettled(
+            chunks.map(chunk => this.glossWords(sentences, chunk, language, nativeLanguage))
+        );
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed && results.every(result => result.status === 'rejected')) {
+            throw failed.reason;
+        }
+        if (failed) {
+            console.warn('Some story glosses could not be generated:', failed.reason);
+        }
+
+        return results.flatMap(result => result.status === 'fulfilled' ? result.value : []);
+    }
+
+    /**
+     * Gloss one chunk of a story's words
+     */
+    async glossWords(sentences, words, language, nativeLanguage) {
+        const prompt = `Gloss the words of this ${language} story for a learner whose native language is ${nativeLanguage}.
+
+STORY:
+${sentences.map((sentence, idx) => `${idx + 1}. ${sentence}`).join('\n')}
+
+WORDS:
+${words.join(', ')}
+
+Return one entry per listed word, with "word" copied exactly as listed:
+- lemma: the dictionary form in ${language}
+- partOfSpeech: in English (noun, verb, adjective, adverb, pronoun, preposition, article, conjunction...)
+- meaning: what the word means as used in this story, in ${nativeLanguage}
+- example: a short, simple ${language} sentence using the word, different from the story's sentences`;
+
+        const systemPrompt = `You are a bilingual dictionary for language learners. Always respond with valid JSON matching the provided schema.`;
+
+        const result = await this.makeValidatedRequest(prompt, glossSchema, systemPrompt, { feature: 'story', label: 'Story glosses' });
+        return (Array.isArray(result?.glosses) ? result.glosses : [])
+            .filter(gloss => typeof gloss?.word === 'string' && typeof gloss.meaning === 'string');
     }
 
     /**
@@ -303,7 +433,7 @@ Break the story into individual sentences for translation practice.`;
 
 ${text}`;
 
-        return await this.makeRequest(prompt);
+        return await this.makeRequest(prompt, null, { feature: 'rating' });
     }
 
     /**
@@ -332,13 +462,16 @@ Provide detailed feedback in this format:
 
 Be encouraging but specific about errors.`;
 
-        return await this.makeRequest(prompt);
+        return await this.makeRequest(prompt, null, { feature: 'rating' });
     }
 
     /**
-     * Rate multiple sentence translations in a single request
+     * Rate multiple sentence translations in a single request.
+     * With onProgress the response is streamed and onProgress(partialText) is called per chunk.
+     * direction 'production' means the student is writing in the language they are learning
+     * (targetLanguage), so grading focuses on production errors.
      */
-    async rateSentenceTranslations(sentences, userTranslations, sourceLanguage, targetLanguage) {
+    async rateSentenceTranslations(sentences, userTranslations, sourceLanguage, targetLanguage, { onProgress, signal, direction = 'comprehension' } = {}) {
         // Filter out empty translations
         const translatedPairs = sentences.map((sentence, index) => ({
             original: sentence,
@@ -369,11 +502,15 @@ For each sentence, provide:
    - D = Poor translation with major errors
    - F = Incorrect or completely wrong translation
 2. A reference translation
-3. Brief feedback covering accuracy, grammar, and word choice
-4. Specific suggestions for improvement
-
-IMPORTANT GUIDELINES:
-- If the student's translation is identical or nearly identical to the original sentence, give it an A grade and praise it as "Excellent work!" or "Perfect translation!"
+${this.getGradingRubric(direction, targetLanguage)}
+5. A list of every error in the student's translation. For each error give:
+   - category: one of ${Object.keys(errorCategories).join(', ')}
+   - span: the exact wrong text copied from the student's translation (a word or short phrase)
+   - correction: what the span should be replaced with
+   Use an empty list when there are no errors.
+
+IMPORTANT GUIDELINES:${direction === 'production' ? '' : `
+- If the student's translation is identical or nearly identical to the original sentence, give it an A grade and praise it as "Excellent work!" or "Perfect translation!"`}
 - Be encouraging and educational, never overly critical
 - Focus on helping the student learn and improve
 - For high-quality translations, emphasize what they did well
@@ -387,7 +524,10 @@ Format your response as JSON with this structure:
       "sentenceNumber": 1,
       "grade": "A",
       "referenceTranslation": "correct translation here",
-      "feedback": "brief feedback here"
+      "feedback": "brief feedback here",
+      "errors": [
+        { "category": "agreement", "span": "wrong words here", "correction": "corrected words here" }
+      ]
     }
   ],
   "overallFeedback": "overall assessment and learning points here",
@@ -395,55 +535,87 @@ Format your response as JSON with this structure:
   "totalSentences": ${sentences.length}
 }`;
 
+        const schema = sentenceRatingSchema(translatedPairs.length);
+
         try {
-            const response = await this.makeRequest(prompt);
-            
-            // Try to parse JSON response
-            let parsedResponse;
-            try {
-                parsedResponse = JSON.parse(response);
-            } catch (parseError) {
-                // Try to extract JSON from markdown code blocks
-                const jsonMatch = response.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-                if (jsonMatch) {
-                    parsedResponse = JSON.parse(jsonMatch[1]);
-                } else {
-                    throw new Error('Could not parse AI response as JSON');
-                }
-            }
+            const rating = await this.makeValidatedRequest(prompt, schema, null, {
+                onProgress,
+                signal,
+                feature: 'rating',
+                label: 'Sentence ratings'
+            });
+            const { sentenceEvaluations, overallFeedback } = applyDefaults(rating, schema, {
+                sentenceEvaluations: [],
+                overallFeedback: 'Overall feedback not provided'
+            }, 'Sentence ratings');
 
             // Transform response to match expected format
             const sentenceFeedback = translatedPairs.map((pair, idx) => {
-                const evaluation = parsedResponse.sentenceEvaluations?.[idx] || {};
+                const evaluation = applyDefaults(sentenceEvaluations[idx], sentenceEvaluationSchema, {
+                    referenceTranslation: 'Reference not provided',
+                    feedback: 'Feedback not provided',
+                    grade: 'C',
+                    errors: []
+                }, `Sentence ${idx + 1} rating`);
                 return {
                     sentenceIndex: pair.index,
                     original: pair.original,
                     userTranslation: pair.translation,
-                    referenceTranslation: evaluation.referenceTranslation || 'Reference not provided',
-                    feedback: evaluation.feedback || 'Feedback not provided',
-                    grade: evaluation.grade || 'C'
+                    referenceTranslation: evaluation.referenceTranslation,
+                    feedback: evaluation.feedback,
+                    grade: evaluation.grade,
+                    errors: this.normalizeErrors(evaluation.errors)
                 };
             });
 
             return {
                 sentenceFeedback,
-                overallFeedback: parsedResponse.overallFeedback || 'Overall feedback not provided',
+                overallFeedback,
                 totalSentences: sentences.length,
                 translatedCount: translatedPairs.length
             };
 
         } catch (error) {
+            // Cancelled requests and failures that would hit every fallback request too
+            // shouldn't trigger the 2×N fallback requests
+            if (isPersistentError(error)) throw error;
+
             console.error('Batch sentence evaluation failed, falling back to individual evaluation:', error);
             
             // Fallback to original approach if batch fails
-            return await this.rateSentenceTranslationsIndividual(sentences, userTranslations, sourceLanguage, targetLanguage);
+            return await this.rateSentenceTranslationsIndividual(sentences, userTranslations, sourceLanguage, targetLanguage, { direction });
         }
     }
 
+    /**
+     * Keep well-formed errors whose category is in the taxonomy
+     */
+    normalizeErrors(errors) {
+        return normalizeErrors(errors);
+    }
+
+    /**
+     * Grading points 3-4 for rateSentenceTranslations, by translation direction
+     */
+    getGradingRubric(direction, targetLanguage) {
+        if (direction === 'production') {
+            return `3. Brief feedback on how correctly and naturally the student produced ${targetLanguage}, the language they are learning. Check especially:
+   - Gender and number agreement (articles, adjectives, pronouns)
+   - Verb conjugation (person, tense, mood)
+   - Word order
+   - Idiomatic word choice and spelling (including accents)
+   Name the kind of error (e.g. "gender agreement") when pointing one out. Small changes in nuance matter less than grammatical correctness.
+4. Specific suggestions for producing the sentence correctly`;
+        }
+
+        return `3. Brief feedback covering accuracy, grammar, and word choice
+4. Specific suggestions for improvement`;
+    }
+
     /**
      * Fallback: Rate sentence translations individually (original approach)
      */
-    async rateSentenceTranslationsIndividual(sentences, userTranslations, sourceLanguage, targetLanguage) {
+    async rateSentenceTranslationsIndividual(sentences, userTranslations, sourceLanguage, targetLanguage, { direction = 'comprehension' } = {}) {
         const translatedPairs = sentences.map((sentence, index) => ({
             original: sentence,
             translation: userTranslations[index] || '',
@@ -466,16 +638,18 @@ STUDENT TRANSLATION (${targetLanguage}): ${pair.translation}
 
 REFERENCE TRANSLATION (${targetLanguage}): ${referenceTranslations[idx]}
 
-Provide concise feedback focusing on accuracy, grammar, and word choice.`;
+${direction === 'production'
+    ? `The student is learning ${targetLanguage}. Provide concise feedback on their ${targetLanguage}, focusing on gender and number agreement, verb conjugation and word order.`
+    : 'Provide concise feedback focusing on accuracy, grammar, and word choice.'}`;
 
-            return this.makeRequest(prompt);
+            return this.makeRequest(prompt, null, { feature: 'rating' });
         });
 
         const individualFeedback = await Promise.all(feedbackPromises);
 
         // Create overall summary
         const overallPrompt = `Summarize the student's translation performance for ${translatedPairs.length} out of ${sentences.length} sentences. Provide 2-3 key learning points for improvement.`;
-        const overallFeedback = await this.makeRequest(overallPrompt);
+        const overallFeedback = await this.makeRequest(overallPrompt, null, { feature: 'rating' });
 
         return {
             sentenceFeedback: translatedPairs.map((pair, idx) => ({
@@ -483,7 +657,8 @@ Provide concise feedback focusing on accuracy, grammar, and word choice.`;
                 original: pair.original,
                 userTranslation: pair.translation,
                 referenceTranslation: referenceTranslations[idx],
-                feedback: individualFeedback[idx]
+                feedback: individualFeedback[idx],
+                errors: []
             })),
             overallFeedback,
             totalSentences: sentences.length,
@@ -507,7 +682,7 @@ Create a mini-lesson covering:
 
 Keep it concise and practical.`;
 
-        return await this.makeRequest(prompt);
+        return await this.makeRequest(prompt, null, { feature: 'lesson' });
     }
 
     /**
@@ -519,68 +694,6 @@ Keep it concise and practical.`;
    STUDENT TRANSLATION (${toLang}): "${item.translation}"`
         ).join('\n\n');
 
-        const schema = {
-            type: "object",
-            properties: {
-                title: {
-                    type: "string",
-                    description: "Title for the mini lesson (e.g., 'Verb Conjugation and Word Order')"
-                },
-                grammarFocus: {
-                    type: "string",
-                    description: "Main grammatical patterns and structures the student should learn"
-                },
-                vocabulary: {
-                    type: "array",
-                    items: {
-                        type: "object",
-                        properties: {
-                            word: { type: "string", description: "The vocabulary word" },
-                            meaning: { type: "string", description: "English translation/meaning" },
-                            example: { type: "string", description: "Example sentence using the word" }
-                        },
-                        required: ["word", "meaning", "example"]
-                    },
-                    description: "Key vocabulary words from the translations"
-                },
-                commonMistakes: {
-                    type: "array",
-                    items: {
-                        type: "object",
-                        properties: {
-                            mistake: { type: "string", description: "The common mistake pattern" },
-                            correction: { type: "string", description: "How to fix it" },
-                            example: { type: "string", description: "Correct example sentence" }
-                        },
-                        required: ["mistake", "correction", "example"]
-                    },
-                    description: "Common mistake patterns from student translations"
-                },
-                exercises: {
-                    type: "array",
-                    items: {
-                        type: "object",
-                        properties: {
-                            type: { 
-                                type: "string", 
-                                enum: ["translation", "fill-in-blank", "conjugation"],
-                                description: "Type of exercise"
-                            },
-                            instruction: { type: "string", description: "Instructions for the exercise" },
-                            question: { type: "string", description: "The exercise question/prompt" },
-                            answer: { type: "string", description: "The correct answer" },
-                            explanation: { type: "string", description: "Why this is the correct answer" }
-                        },
-                        required: ["type", "instruction", "question", "answer", "explanation"]
-                    },
-                    description: "Interactive exercises to practice the concepts",
-                    minItems: 3,
-                    maxItems: 5
-                }
-            },
-            required: ["title", "grammarFocus", "vocabulary", "commonMistakes", "exercises"]
-        };
-
         const prompt = `Create a structured mini-lesson based on these translation attempts:
 
 ${translationList}
@@ -594,15 +707,24 @@ Analyze the student's translation patterns and create a comprehensive lesson wit
    - translation: Translate sentences between ${fromLang} and ${toLang}
    - fill-in-blank: Complete sentences with missing words/phrases
    - conjugation: Practice verb conjugations and forms
+   - multiple-choice: Pick the correct word or form; give 3-4 options, one exactly matching the answer
+   - word-order: Put the scrambled words of a sentence back in order; the question gives the sentence's meaning and the answer is the sentence (the words are shuffled for the student)
 
-Make the exercises specific to their translation attempts and provide clear explanations for each answer.`;
+Fill-in-blank and conjugation answers must be only the missing word or form. Make the exercises specific to their translation attempts and provide clear explanations for each answer.`;
 
         const systemPrompt = `You are a language learning instructor creating structured mini-lessons. Always respond with valid JSON matching the provided schema. Focus on the student's actual translation attempts to create targeted, practical exercises.`;
 
         try {
-            const response = await this.makeStructuredRequest(prompt, schema, systemPrompt);
-            return JSON.parse(response);
+            const lesson = await this.makeValidatedRequest(prompt, miniLessonSchema, systemPrompt, { feature: 'lesson', label: 'Mini lesson' });
+            return applyDefaults(lesson, miniLessonSchema, {
+                title: 'Mini Lesson',
+                grammarFocus: '',
+                vocabulary: [],
+                commonMistakes: [],
+                exercises: []
+            }, 'Mini lesson');
         } catch (error) {
+            if (isPersistentError(error)) throw error;
             console.error('Structured mini lesson generation failed:', error);
             // Fallback to simple lesson format
             const fallbackPrompt = `Create a focused mini-lesson based on these translation attempts:
@@ -617,22 +739,192 @@ Analyze the student's translation patterns and create a lesson covering:
 
 Focus on the most important learning points from their actual translation attempts. Keep it concise and practical.`;
             
-            return await this.makeRequest(fallbackPrompt);
+            return await this.makeRequest(fallbackPrompt, null, { feature: 'lesson' });
         }
     }
 
     /**
-     * Handle chat/assistant conversations
+     * Grade a free-form answer to a mini lesson exercise
      */
-    async chat(message, context = null) {
-        let prompt = message;
-        
+    async gradeExerciseAnswer(exercise, answer, fromLang, toLang) {
+        const prompt = `Grade a student's answer to a language exercise. The student is learning to translate between ${fromLang} and ${toLang}.
+
+INSTRUCTION: ${exercise.instruction}
+QUESTION: ${exercise.question}
+MODEL ANSWER: ${exercise.answer}
+STUDENT ANSWER: "${answer}"
+
+Mark the answer correct if it is an acceptable answer to the question, even when it is worded differently from the model answer. Ignore capitalization, punctuation and missing accents. If it is wrong, say briefly what to fix.`;
+
+        const systemPrompt = `You are a fair language teacher grading exercise answers. Always respond with valid JSON matching the provided schema.`;
+
+        const result = await this.makeValidatedRequest(prompt, exerciseGradeSchema, systemPrompt, { cache: false, feature: 'lesson', label: 'Exercise grade' });
+        return applyDefaults(result, exerciseGradeSchema, { correct: false, feedback: '' }, 'Exercise grade');
+    }
+
+    /**
+     * Get pronunciation and fluency feedback on sentences read aloud.
+     * attempts: [{ sentence, transcript, confidence, mismatches: [{ expected, heard }] }]
+     */
+    async getPronunciationFeedback(attempts, language) {
+        const attemptList = attempts.map((attempt, idx) => {
+            const mismatches = attempt.mismatches.length > 0
+                ? attempt.mismatches.map(item => `"${item.expected}" → ${item.heard ? `heard as "${item.heard}"` : 'not heard'}`).join('; ')
+                : 'none';
+            const confidence = typeof attempt.confidence === 'number'
+                ? ` (recognizer confidence ${Math.round(attempt.confidence * 100)}%)`
+                : '';
+
+            return `${idx + 1}. SENTENCE: "${attempt.sentence}"
+   RECOGNIZED: "${attempt.transcript}"${confidence}
+   MISMATCHED WORDS: ${mismatches}`;
+        }).join('\n\n');
+
+        const prompt = `A student learning ${language} read these sentences aloud. A speech recognizer transcribed what they said:
+
+${attemptList}
+
+Words the recognizer missed or heard differently usually point to pronunciation problems.
+For each mismatched word explain the likely pronunciation error and how to fix it, in terms an English speaker understands.
+Ignore mismatches that are only spelling variants or numbers written as digits. Keep the feedback encouraging and practical.`;
+
+        const systemPrompt = `You are a ${language} pronunciation coach. Always respond with valid JSON matching the provided schema.`;
+
+        const feedback = await this.makeValidatedRequest(prompt, pronunciationFeedbackSchema, systemPrompt, { feature: 'rating', label: 'Pronunciation feedback' });
+        const result = applyDefaults(feedback, pronunciationFeedbackSchema, {
+            overallFeedback: 'Feedback not provided',
+            fluencyScore: 3,
+            wordTips: [],
+            practiceTips: []
+        }, 'Pronunciation feedback');
+        return {
+            ...result,
+            fluencyScore: Math.min(5, Math.max(1, result.fluencyScore)),
+            wordTips: result.wordTips.filter(tip => typeof tip?.word === 'string' && typeof tip.tip === 'string'),
+            practiceTips: result.practiceTips.filter(tip => typeof tip === 'string')
+        };
+    }
+
+    /**
+     * Generate one placement test item at a CEFR level.
+     * 'translation' items are a sentence to translate; 'comprehension' items are a
+     * short passage with a multiple-choice question asked in the student's language.
+     */
+    async generatePlacementItem(type, level, language, nativeLanguage) {
+        const levelSpec = `- VOCABULARY: ${this.getCEFRSpec(level, 'vocabulary')}
+- GRAMMAR: ${this.getCEFRSpec(level, 'grammar')}
+- SENTENCES: ${this.getCEFRSpec(level, 'sentences')}`;
+
+        const systemPrompt = `You are a language assessment expert writing CEFR placement test items. Always respond with valid JSON matching the provided schema.`;
+
+        if (type === 'comprehension') {
+            const schema = placementComprehensionSchema(language, nativeLanguage);
+            const prompt = `Write a reading comprehension item for a ${language} placement test at CEFR ${level.toUpperCase()}.
+
+The passage must match ${level.toUpperCase()}:
+${levelSpec}
+
+The question should only be answerable by understanding the passage at this level. Make the wrong options plausible.`;
+
+            const item = await this.makeValidatedRequest(prompt, schema, systemPrompt, { cache: false, feature: 'story', label: 'Placement item' });
+            const { passage, question, options, answerIndex } = applyDefaults(item, schema, {
+                passage: '',
+                question: '',
+                options: [],
+                answerIndex: 0
+            }, 'Placement item');
+
+            // Keep every option so answerIndex still points at the right one
+            const choices = options.map(option => String(option ?? ''));
+            if (!passage || !question || choices.filter(option => option.trim()).length < 2) {
+                throw new MalformedJSONError('Placement item is missing its passage, question or options');
+            }
+            return {
+                type,
+                level,
+                passage,
+                question,
+                options: choices,
+                answerIndex: Math.min(choices.length - 1, Math.max(0, answerIndex))
+            };
+        }
+
+        const schema = placementSentenceSchema(language);
+        const prompt = `Write one sentence in ${language} for a placement test at CEFR ${level.toUpperCase()}. The student will translate it into ${nativeLanguage}.
+
+The sentence must match ${level.toUpperCase()} and use grammar and vocabulary typical of this level, so that only a ${level.toUpperCase()} learner translates it correctly:
+${levelSpec}`;
+
+        const item = await this.makeValidatedRequest(prompt, schema, systemPrompt, { cache: false, feature: 'story', label: 'Placement item' });
+        const { sentence } = applyDefaults(item, schema, { sentence: '' }, 'Placement item');
+        if (!sentence.trim()) {
+            throw new MalformedJSONError('Placement item is missing its sentence');
+        }
+        return { type, level, sentence };
+    }
+
+    /**
+     * Grade a placement translation item; score is 0-1
+     */
+    async gradePlacementTranslation(sentence, answer, language, nativeLanguage) {
+        const schema = placementGradeSchema(nativeLanguage);
+        const prompt = `Grade this placement test answer. The student translated a ${language} sentence into ${nativeLanguage}.
+
+SENTENCE (${language}): "${sentence}"
+STUDENT ANSWER (${nativeLanguage}): "${answer}"
+
+Judge whether the student understood the sentence. Score meaning, not style: small errors in the student's ${nativeLanguage} don't matter.`;
+
+        const grade = await this.makeValidatedRequest(prompt, schema, null, { feature: 'rating', label: 'Placement grade' });
+        const result = applyDefaults(grade, schema, {
+            score: 0,
+            referenceTranslation: '',
+            feedback: ''
+        }, 'Placement grade');
+        return {
+            ...result,
+            score: Math.min(1, Math.max(0, result.score))
+        };
+    }
+
+    /**
+     * Handle chat/assistant conversations (streamed when onText is given).
+     * Earlier turns are sent as real user/model contents; older turns that were
+     * folded into a summary travel in the system prompt together with the session context.
+     */
+    async chat(message, context = null, { history = [], summary = null, onText, signal } = {}) {
+        let systemPrompt = `You are a helpful language learning assistant. Answer questions about grammar, vocabulary, translations, and language learning. Be concise but informative. Use examples when helpful.`;
+
         if (context) {
-            prompt = `Context: ${context}\n\nUser question: ${message}`;
+            systemPrompt += `\n\n${context}`;
         }
 
-        const systemPrompt = `You are a helpful language learning assistant. Answer questions about grammar, vocabulary, translations, and language learning. Be concise but informative. Use examples when helpful.`;
+        if (summary) {
+            systemPrompt += `\n\nSUMMARY OF THE EARLIER CONVERSATION:\n${summary}`;
+        }
+
+        if (onText) {
+            return await this.makeStreamingRequest(message, systemPrompt, { onText, signal, history, cache: false, feature: 'chat' });
+        }
+
+        return await this.makeRequest(message, systemPrompt, { history, cache: false, feature: 'chat' });
+    }
+
+    /**
+     * Summarize older chat turns so they can be dropped from the request history
+     */
+    async summarizeConversation(turns, previousSummary = null) {
+        const transcript = turns
+            .map(turn => `${turn.role === 'model' ? 'ASSISTANT' : 'STUDENT'}: ${turn.text}`)
+            .join('\n\n');
+
+        const prompt = `Summarize this conversation between a language student and their assistant so the assistant can continue it later.
+Keep the questions asked, the explanations and examples given, corrections made, and anything the student said about themselves or their goals.
+Write at most 150 words.
+
+${previousSummary ? `EARLIER SUMMARY:\n${previousSummary}\n\n` : ''}CONVERSATION:
+${transcript}`;
 
-        return await this.makeRequest(prompt, systemPrompt);
+        return await this.makeRequest(prompt, null, { feature: 'chat' });
     }
 }
\ No newline at end of file
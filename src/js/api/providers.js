@@ -0,0 +1,410 @@
+import { geminiModels, llmProviders } from '../utils/constants.js';
+import { readServerSentEvents, readJsonLines } from './stream.js';
+import { errorFromResponse, EmptyCandidateError, NetworkError, SafetyBlockedError } from './errors.js';
+
+/**
+ * LLM Provider Adapters
+ * Translate provider-neutral requests into each backend's wire format.
+ *
+ * A request looks like:
+ *   { messages: [{ role: 'user' | 'model', text }], systemPrompt, schema, generationConfig }
+ * and every provider resolves to { text, usage }, either in one response (generate)
+ * or incrementally (stream). usage is { inputTokens, outputTokens } or null when
+ * the backend doesn't report it. Failures are thrown as typed errors from
+ * errors.js; HTTP errors carry status and retryAfter (seconds).
+ */
+
+/**
+ * Seconds to wait before retrying, from a Retry-After header or a Gemini
+ * RetryInfo detail ("retryDelay": "12s") in the error body
+ */
+function parseRetryAfter(response, errorData) {
+    const header = response.headers.get('Retry-After');
+    if (header) {
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) return seconds;
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) return Math.max(0, (date - Date.now()) / 1000);
+    }
+
+    const match = errorData.match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Base class for all providers
+ */
+class LLMProvider {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || null;
+        this.baseUrl = options.baseUrl || null;
+        this.model = options.model || null;
+    }
+
+    /**
+     * Update the model being used
+     */
+    setModel(model) {
+        this.model = model;
+    }
+
+    /**
+     * Send a request and return the generated text.
+     * Pass model to use a different model than the provider's for this request.
+     */
+    async generate(request, { signal, model } = {}) {
+        const { url, headers, body } = this.buildRequest(request, { model });
+        const response = await this.post(url, headers, body, signal);
+
+        const data = await response.json();
+        const text = this.extractText(data);
+
+        if (!text) {
+            throw this.emptyResponseError(data);
+        }
+
+        return { text: text.trim(), usage: this.extractUsage(data) };
+    }
+
+    /**
+     * Send a request and stream the generated text, calling onText(delta, fullText) per chunk
+     */
+    async stream(request, { onText, signal, model } = {}) {
+        const { url, headers, body } = this.buildRequest(request, { stream: true, model });
+        const response = await this.post(url, headers, body, signal);
+
+        let text = '';
+        let usage = null;
+        let lastChunk = {};
+        await this.readStream(response, (chunk) => {
+            lastChunk = chunk;
+            usage = this.extractUsage(chunk) || usage;
+            const delta = this.extractStreamText(chunk);
+            if (delta) {
+                text += delta;
+                if (onText) onText(delta, text);
+            }
+        });
+
+        if (!text) {
+            throw this.emptyResponseError(lastChunk);
+        }
+
+        return { text: text.trim(), usage };
+    }
+
+    /**
+     * POST a JSON body and return the response, throwing on HTTP errors
+     */
+    async post(url, headers, body, signal) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new NetworkError(`Network error: ${error.message}`, { cause: error });
+        }
+
+        if (!response.ok) {
+            const errorData = await response.text();
+            throw errorFromResponse(response.status, errorData, parseRetryAfter(response, errorData));
+        }
+
+        return response;
+    }
+
+    /**
+     * Error for a response without any generated text
+     */
+    emptyResponseError(data) {
+        return new EmptyCandidateError('No content generated by API');
+    }
+
+    /**
+     * Parse a streamed response into JSON chunks (Server-Sent Events by default)
+     */
+    async readStream(response, onChunk) {
+        await readServerSentEvents(response, (data) => {
+            if (data !== '[DONE]') {
+                onChunk(JSON.parse(data));
+            }
+        });
+    }
+
+    /**
+     * Build the provider-specific { url, headers, body } for a request
+     */
+    buildRequest(request, options = {}) {
+        throw new Error(`${this.constructor.name} must implement buildRequest()`);
+    }
+
+    /**
+     * Pull the generated text out of a provider response
+     */
+    extractText(data) {
+        throw new Error(`${this.constructor.name} must implement extractText()`);
+    }
+
+    /**
+     * Pull the text delta out of one streamed chunk
+     */
+    extractStreamText(chunk) {
+        throw new Error(`${this.constructor.name} must implement extractStreamText()`);
+    }
+
+    /**
+     * Pull token counts out of a response or streamed chunk, if reported
+     */
+    extractUsage(data) {
+        return null;
+    }
+
+    /**
+     * Convert neutral messages to the common { role, content } chat format
+     */
+    toChatMessages(request) {
+        const messages = [];
+
+        if (request.systemPrompt) {
+            messages.push({ role: 'system', content: request.systemPrompt });
+        }
+
+        request.messages.forEach(message => {
+            messages.push({
+                role: message.role === 'model' ? 'assistant' : 'user',
+                content: message.text
+            });
+        });
+
+        return messages;
+    }
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+export class GeminiProvider extends LLMProvider {
+    constructor(options = {}) {
+        super(options);
+        this.model = options.model || 'flash-lite';
+        this.baseUrl = options.baseUrl || 'https://generativelanguage.googleapis.com/v1beta/models';
+    }
+
+    /**
+     * Get the full API endpoint for the current model
+     */
+    getEndpoint(method = 'generateContent', model = this.model) {
+        const modelName = geminiModels[model];
+        return `${this.baseUrl}/${modelName}:${method}`;
+    }
+
+    buildRequest(request, { stream = false, model = this.model } = {}) {
+        const contents = [];
+
+        // System instructions are sent as a primed first exchange
+        if (request.systemPrompt) {
+            contents.push({
+                role: "user",
+                parts: [{ text: request.systemPrompt }]
+            });
+            contents.push({
+                role: "model",
+                parts: [{ text: "I understand. I'll follow these instructions carefully." }]
+            });
+        }
+
+        request.messages.forEach(message => {
+            contents.push({
+                role: message.role,
+                parts: [{ text: message.text }]
+            });
+        });
+
+        const generationConfig = { ...request.generationConfig };
+        if (request.schema) {
+            generationConfig.responseMimeType = "application/json";
+            generationConfig.responseSchema = request.schema;
+        }
+
+        const url = stream
+            ? `${this.getEndpoint('streamGenerateContent', model)}?alt=sse`
+            : this.getEndpoint('generateContent', model);
+
+        return {
+            url,
+            // A header keeps the key out of URLs, which end up in logs and history
+            headers: { 'x-goog-api-key': this.apiKey },
+            body: { contents, generationConfig }
+        };
+    }
+
+    extractText(data) {
+        return data.candidates?.[0]?.content?.parts?.[0]?.text;
+    }
+
+    extractStreamText(chunk) {
+        // Each SSE chunk is a partial generateContent response
+        return this.extractText(chunk);
+    }
+
+    emptyResponseError(data) {
+        // A blocked prompt has no candidates, only promptFeedback
+        const blockReason = data.promptFeedback?.blockReason;
+        if (blockReason) {
+            return new SafetyBlockedError(`Prompt blocked: ${blockReason}`, { blockReason });
+        }
+
+        const finishReason = data.candidates?.[0]?.finishReason || null;
+        if (['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'].includes(finishReason)) {
+            return new SafetyBlockedError(`Response blocked: ${finishReason}`, { blockReason: finishReason });
+        }
+
+        return new EmptyCandidateError(`No content generated by API${finishReason ? ` (finish reason: ${finishReason})` : ''}`, { finishReason });
+    }
+
+    extractUsage(data) {
+        // Streamed chunks carry running totals, so the last one wins
+        const usage = data.usageMetadata;
+        if (!usage) return null;
+        return { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 };
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions API (OpenAI, llama.cpp server, vLLM, LM Studio...)
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = (options.baseUrl || llmProviders.openai.defaultBaseUrl).replace(/\/+$/, '');
+        this.model = options.model || llmProviders.openai.defaultModel;
+    }
+
+    buildRequest(request, { stream = false, model = this.model } = {}) {
+        const config = request.generationConfig || {};
+        const body = {
+            model,
+            messages: this.toChatMessages(request),
+            stream,
+            temperature: config.temperature,
+            top_p: config.topP,
+            max_tokens: config.maxOutputTokens
+        };
+
+        // Streams only report token usage (in a final chunk) when asked to
+        if (stream) {
+            body.stream_options = { include_usage: true };
+        }
+
+        if (request.schema) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: request.schema }
+            };
+        }
+
+        return {
+            url: `${this.baseUrl}/chat/completions`,
+            headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            body
+        };
+    }
+
+    extractText(data) {
+        return data.choices?.[0]?.message?.content;
+    }
+
+    extractStreamText(chunk) {
+        return chunk.choices?.[0]?.delta?.content;
+    }
+
+    emptyResponseError(data) {
+        const finishReason = data.choices?.[0]?.finish_reason || null;
+        if (finishReason === 'content_filter') {
+            return new SafetyBlockedError('Response blocked by the content filter', { blockReason: finishReason });
+        }
+        return new EmptyCandidateError('No content generated by API', { finishReason });
+    }
+
+    extractUsage(data) {
+        if (!data.usage) return null;
+        return { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 };
+    }
+}
+
+/**
+ * Ollama native chat API
+ */
+export class OllamaProvider extends LLMProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = (options.baseUrl || llmProviders.ollama.defaultBaseUrl).replace(/\/+$/, '');
+        this.model = options.model || llmProviders.ollama.defaultModel;
+    }
+
+    buildRequest(request, { stream = false, model = this.model } = {}) {
+        const config = request.generationConfig || {};
+        const body = {
+            model,
+            messages: this.toChatMessages(request),
+            stream,
+            options: {
+                temperature: config.temperature,
+                top_k: config.topK,
+                top_p: config.topP,
+                num_predict: config.maxOutputTokens
+            }
+        };
+
+        if (request.schema) {
+            body.format = request.schema;
+        }
+
+        return {
+            url: `${this.baseUrl}/api/chat`,
+            headers: {},
+            body
+        };
+    }
+
+    extractText(data) {
+        return data.message?.content;
+    }
+
+    async readStream(response, onChunk) {
+        // Ollama streams newline-delimited JSON rather than SSE
+        await readJsonLines(response, onChunk);
+    }
+
+    extractStreamText(chunk) {
+        return chunk.message?.content;
+    }
+
+    extractUsage(data) {
+        // Only the final ("done") response reports token counts
+        if (data.eval_count === undefined) return null;
+        return { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+    }
+}
+
+const providerClasses = {
+    'gemini': GeminiProvider,
+    'openai': OpenAICompatibleProvider,
+    'ollama': OllamaProvider
+};
+
+/**
+ * Create a provider instance by type (see llmProviders in constants)
+ */
+export function createProvider(type, options = {}) {
+    const ProviderClass = providerClasses[type];
+    if (!ProviderClass) {
+        throw new Error(`Unknown LLM provider: ${type}`);
+    }
+    return new ProviderClass(options);
+}
\ No newline at end of file
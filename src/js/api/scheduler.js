@@ -0,0 +1,164 @@
+import { REQUEST_SCHEDULER } from '../utils/constants.js';
+import { NetworkError } from './errors.js';
+
+/**
+ * Request Scheduler
+ * Limits how many LLM requests run at once, retries rate-limited and failed
+ * requests with exponential backoff (honoring Retry-After), and counts the
+ * requests and tokens used this session
+ */
+
+// Statuses worth retrying: rate limits and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Whether a failed request may succeed if sent again
+ */
+export function isRetryable(error) {
+    if (error.name === 'AbortError') return false;
+    if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+    return error instanceof NetworkError;
+}
+
+/**
+ * Wait for a delay, rejecting early with an AbortError if the signal fires
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('The request was aborted', 'AbortError'));
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The request was aborted', 'AbortError'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+export class RequestScheduler {
+    constructor(options = {}) {
+        this.options = { ...REQUEST_SCHEDULER, ...options };
+        this.active = 0;
+        this.waiting = [];
+        this.stats = { requests: 0, inputTokens: 0, outputTokens: 0, retries: 0, fallbacks: 0 };
+
+        // Optional UI hooks
+        this.onStatsChange = null;
+        this.onRetry = null;
+    }
+
+    /**
+     * Run task({ attempt, lastError }) when a slot is free, calling it again
+     * after a backoff delay for each retryable failure. The slot is given up
+     * while backing off so other requests can run in the meantime.
+     */
+    async schedule(task, { signal } = {}) {
+        let lastError = null;
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire(signal);
+            try {
+                return await task({ attempt, lastError });
+            } catch (error) {
+                if (attempt >= this.options.maxRetries || !isRetryable(error)) {
+                    throw error;
+                }
+                lastError = error;
+            } finally {
+                this.release();
+            }
+
+            const delay = this.getRetryDelay(lastError, attempt);
+            this.stats.retries++;
+            if (this.onRetry) this.onRetry({ error: lastError, attempt: attempt + 1, delay });
+            await sleep(delay, signal);
+        }
+    }
+
+    /**
+     * Milliseconds to wait before retry number attempt + 1
+     */
+    getRetryDelay(error, attempt) {
+        const { baseDelayMs, maxDelayMs } = this.options;
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return Math.min(maxDelayMs, error.retryAfter * 1000);
+        }
+
+        // Exponential backoff with jitter so parallel requests don't retry together
+        const backoff = baseDelayMs * 2 ** attempt;
+        return Math.min(maxDelayMs, backoff + Math.random() * baseDelayMs);
+    }
+
+    /**
+     * Wait for a free request slot
+     */
+    acquire(signal) {
+        if (this.active < this.options.maxConcurrent) {
+            this.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject };
+            this.waiting.push(entry);
+            signal?.addEventListener('abort', () => {
+                const index = this.waiting.indexOf(entry);
+                if (index !== -1) {
+                    this.waiting.splice(index, 1);
+                    reject(new DOMException('The request was aborted', 'AbortError'));
+                }
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Hand the slot to the next waiting request, or free it
+     */
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next.resolve();
+        } else {
+            this.active--;
+        }
+    }
+
+    /**
+     * Count a request sent to the API
+     */
+    recordRequest() {
+        this.stats.requests++;
+        this.notifyStats();
+    }
+
+    /**
+     * Add a response's token counts to the session totals
+     */
+    recordUsage(usage) {
+        if (!usage) return;
+        this.stats.inputTokens += usage.inputTokens || 0;
+        this.stats.outputTokens += usage.outputTokens || 0;
+        this.notifyStats();
+    }
+
+    /**
+     * Count a fallback to a lighter model
+     */
+    recordFallback() {
+        this.stats.fallbacks++;
+        this.notifyStats();
+    }
+
+    /**
+     * Tell the UI the session totals changed
+     */
+    notifyStats() {
+        if (this.onStatsChange) this.onStatsChange({ ...this.stats });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,142 @@
+import { MalformedJSONError } from './errors.js';
+
+/**
+ * Schema Validator
+ * Checks structured model output against the JSON schemas in schemas.js.
+ * Supports the subset of JSON Schema the response schemas use: type,
+ * properties, required, items, enum, minItems and maxItems.
+ */
+
+/**
+ * Parse JSON from a response, also accepting JSON wrapped in a markdown
+ * code fence or surrounded by prose
+ */
+export function extractJSON(text) {
+    const candidates = [text.trim()];
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (fenced) candidates.push(fenced[1]);
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(candidate);
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+
+    throw new MalformedJSONError('Could not parse AI response as JSON');
+}
+
+/**
+ * Whether a value matches a schema type
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        case 'boolean': return typeof value === 'boolean';
+        default: return true;
+    }
+}
+
+/**
+ * List the ways a value breaks a schema, as "path: problem" strings
+ * (an empty list means the value is valid)
+ */
+export function validateSchema(value, schema, path = '') {
+    const where = path || 'response';
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${where}: expected ${schema.type}, got ${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${where}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`];
+    }
+
+    const issues = [];
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                issues.push(`${path ? `${path}.` : ''}${key}: missing required field`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined && value[key] !== null) {
+                issues.push(...validateSchema(value[key], propertySchema, `${path ? `${path}.` : ''}${key}`));
+            }
+        });
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            issues.push(`${where}: expected at least ${schema.minItems} items, got ${value.length}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            issues.push(`${where}: expected at most ${schema.maxItems} items, got ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                issues.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Parse and validate a response. value is null when the text isn't JSON.
+ */
+export function validateResponse(text, schema) {
+    let value;
+    try {
+        value = extractJSON(text);
+    } catch (error) {
+        return { value: null, issues: ['response: not valid JSON'] };
+    }
+    return { value, issues: validateSchema(value, schema) };
+}
+
+/**
+ * Follow-up prompt asking the model to fix the listed problems in its
+ * previous answer
+ */
+export function buildRepairPrompt(issues) {
+    return `Your previous response does not match the required JSON schema:
+${issues.map(issue => `- ${issue}`).join('\n')}
+
+Reply with the corrected JSON only. Fix these problems and keep everything else from your previous response unchanged.`;
+}
+
+/**
+ * Copy of an object with each field in defaults that is missing or invalid
+ * under its property schema replaced by the default. Replaced fields are
+ * logged under label so silently defaulted output can be traced.
+ */
+export function applyDefaults(value, schema, defaults, label) {
+    const result = matchesType(value, 'object') ? { ...value } : {};
+    const defaulted = [];
+
+    Object.entries(defaults).forEach(([key, fallback]) => {
+        // Only the field itself is checked: callers clean up nested items
+        const { type, enum: allowed } = schema.properties?.[key] || {};
+        if (result[key] === undefined || result[key] === null || validateSchema(result[key], { type, enum: allowed }).length > 0) {
+            result[key] = fallback;
+            defaulted.push(key);
+        }
+    });
+
+    if (defaulted.length > 0) {
+        console.warn(`${label}: defaulted ${defaulted.join(', ')}`);
+    }
+    return result;
+}
\ No newline at end of file
@@ -0,0 +1,254 @@
+import { errorCategories } from '../utils/constants.js';
+
+/**
+ * Response Schemas
+ * JSON schemas for structured model output. They are sent to the provider as
+ * the response schema and used by schema-validator.js to check the response.
+ */
+
+// Story split into sentences for sentence-by-sentence practice
+export const storySchema = {
+    type: "object",
+    properties: {
+        sentences: {
+            type: "array",
+            items: {
+                type: "string"
+            },
+            minItems: 6,
+            maxItems: 10,
+            description: "Array of individual sentences that make up the story (6-10 sentences maximum)"
+        }
+    },
+    required: ["sentences"]
+};
+
+// Grade, reference translation, feedback and errors for one sentence
+export const sentenceEvaluationSchema = {
+    type: "object",
+    properties: {
+        sentenceNumber: { type: "integer", description: "Number of the sentence in the list above" },
+        grade: { type: "string", enum: ["A", "B", "C", "D", "F"] },
+        referenceTranslation: { type: "string", description: "A correct translation of the original sentence" },
+        feedback: { type: "string", description: "Brief feedback and suggestions" },
+        errors: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    category: { type: "string", enum: Object.keys(errorCategories) },
+                    span: { type: "string", description: "Exact wrong text from the student's translation" },
+                    correction: { type: "string", description: "Replacement for the span" }
+                },
+                required: ["category", "span", "correction"]
+            },
+            description: "Every error in the student's translation (empty if none)"
+        }
+    },
+    required: ["sentenceNumber", "grade", "referenceTranslation", "feedback", "errors"]
+};
+
+/**
+ * Schema for grading a batch of sentence translations, expecting one
+ * evaluation per translated sentence
+ */
+export function sentenceRatingSchema(count) {
+    return {
+        type: "object",
+        properties: {
+            sentenceEvaluations: {
+                type: "array",
+                items: sentenceEvaluationSchema,
+                minItems: count,
+                maxItems: count
+            },
+            overallFeedback: { type: "string", description: "Overall assessment with 2-3 key learning points" }
+        },
+        required: ["sentenceEvaluations", "overallFeedback"]
+    };
+}
+
+// Structured mini lesson with vocabulary, mistakes and exercises
+export const miniLessonSchema = {
+    type: "object",
+    properties: {
+        title: {
+            type: "string",
+            description: "Title for the mini lesson (e.g., 'Verb Conjugation and Word Order')"
+        },
+        grammarFocus: {
+            type: "string",
+            description: "Main grammatical patterns and structures the student should learn"
+        },
+        vocabulary: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    word: { type: "string", description: "The vocabulary word" },
+                    meaning: { type: "string", description: "English translation/meaning" },
+                    example: { type: "string", description: "Example sentence using the word" }
+                },
+                required: ["word", "meaning", "example"]
+            },
+            description: "Key vocabulary words from the translations"
+        },
+        commonMistakes: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    mistake: { type: "string", description: "The common mistake pattern" },
+                    correction: { type: "string", description: "How to fix it" },
+                    example: { type: "string", description: "Correct example sentence" }
+                },
+                required: ["mistake", "correction", "example"]
+            },
+            description: "Common mistake patterns from student translations"
+        },
+        exercises: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    type: {
+                        type: "string",
+                        enum: ["translation", "fill-in-blank", "conjugation", "multiple-choice", "word-order"],
+                        description: "Type of exercise"
+                    },
+                    instruction: { type: "string", description: "Instructions for the exercise" },
+                    question: { type: "string", description: "The exercise question/prompt" },
+                    answer: { type: "string", description: "The correct answer (for word-order: the correctly ordered sentence)" },
+                    options: {
+                        type: "array",
+                        items: { type: "string" },
+                        description: "For multiple-choice only: 3-4 options, one of them exactly the answer"
+                    },
+                    explanation: { type: "string", description: "Why this is the correct answer" }
+                },
+                required: ["type", "instruction", "question", "answer", "explanation"]
+            },
+            description: "Interactive exercises to practice the concepts",
+            minItems: 3,
+            maxItems: 5
+        }
+    },
+    required: ["title", "grammarFocus", "vocabulary", "commonMistakes", "exercises"]
+};
+
+// Verdict on a free-form exercise answer
+export const exerciseGradeSchema = {
+    type: "object",
+    properties: {
+        correct: { type: "boolean", description: "Whether the student's answer is an acceptable answer" },
+        feedback: { type: "string", description: "One or two short sentences explaining the verdict" }
+    },
+    required: ["correct", "feedback"]
+};
+
+// Dictionary entries for the words of a story, glossed in context
+export const glossSchema = {
+    type: "object",
+    properties: {
+        glosses: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    word: { type: "string", description: "The word exactly as listed" },
+                    lemma: { type: "string", description: "Dictionary form of the word" },
+                    partOfSpeech: { type: "string", description: "Part of speech in English (noun, verb, adjective...)" },
+                    meaning: { type: "string", description: "Meaning of the word as used in the story" },
+                    example: { type: "string", description: "A short example sentence using the word" }
+                },
+                required: ["word", "lemma", "partOfSpeech", "meaning", "example"]
+            }
+        }
+    },
+    required: ["glosses"]
+};
+
+// Pronunciation and fluency feedback on sentences read aloud
+export const pronunciationFeedbackSchema = {
+    type: "object",
+    properties: {
+        overallFeedback: {
+            type: "string",
+            description: "Encouraging summary of the student's pronunciation and fluency"
+        },
+        fluencyScore: {
+            type: "integer",
+            description: "Overall fluency from 1 (hard to understand) to 5 (native-like)"
+        },
+        wordTips: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    word: { type: "string", description: "The word that was mispronounced" },
+                    heardAs: { type: "string", description: "What the speech recognizer heard instead (empty if nothing)" },
+                    tip: { type: "string", description: "How to pronounce the word correctly (sounds, stress, mouth position)" }
+                },
+                required: ["word", "heardAs", "tip"]
+            },
+            description: "Pronunciation tips for the mismatched words"
+        },
+        practiceTips: {
+            type: "array",
+            items: { type: "string" },
+            description: "2-3 general tips to improve fluency and rhythm"
+        }
+    },
+    required: ["overallFeedback", "fluencyScore", "wordTips", "practiceTips"]
+};
+
+/**
+ * Schema for a placement reading comprehension item: a passage in the
+ * tested language with a multiple-choice question in the student's language
+ */
+export function placementComprehensionSchema(language, nativeLanguage) {
+    return {
+        type: "object",
+        properties: {
+            passage: { type: "string", description: `A short text in ${language} (2-4 sentences)` },
+            question: { type: "string", description: `A question about the passage, written in ${nativeLanguage}` },
+            options: {
+                type: "array",
+                items: { type: "string" },
+                minItems: 4,
+                maxItems: 4,
+                description: `Four answer options in ${nativeLanguage}, exactly one correct`
+            },
+            answerIndex: { type: "integer", description: "Index (0-3) of the correct option" }
+        },
+        required: ["passage", "question", "options", "answerIndex"]
+    };
+}
+
+/**
+ * Schema for a placement translation item: one sentence in the tested language
+ */
+export function placementSentenceSchema(language) {
+    return {
+        type: "object",
+        properties: {
+            sentence: { type: "string", description: `One sentence in ${language}` }
+        },
+        required: ["sentence"]
+    };
+}
+
+/**
+ * Schema for grading a placement translation into the student's language
+ */
+export function placementGradeSchema(nativeLanguage) {
+    return {
+        type: "object",
+        properties: {
+            score: { type: "number", description: "0 = wrong or blank, 0.5 = gist understood with errors, 1 = correct meaning" },
+            referenceTranslation: { type: "string", description: `A correct translation in ${nativeLanguage}` },
+            feedback: { type: "string", description: "One short sentence of feedback" }
+        },
+        required: ["score", "referenceTranslation", "feedback"]
+    };
+}
\ No newline at end of file
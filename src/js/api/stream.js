@@ -0,0 +1,93 @@
+/**
+ * Streaming Utilities
+ * Readers for streamed HTTP responses and helpers for partial output
+ */
+
+/**
+ * Read a response body line by line, calling onLine for each complete line
+ */
+async function readLines(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(onLine);
+    }
+
+    buffer += decoder.decode();
+    if (buffer) onLine(buffer);
+}
+
+/**
+ * Read a Server-Sent Events stream, calling onData with each event's data payload
+ */
+export async function readServerSentEvents(response, onData) {
+    let dataLines = [];
+
+    const dispatch = () => {
+        if (dataLines.length > 0) {
+            onData(dataLines.join('\n'));
+            dataLines = [];
+        }
+    };
+
+    await readLines(response, (line) => {
+        if (line === '') {
+            dispatch();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+    });
+
+    dispatch();
+}
+
+/**
+ * Read a newline-delimited JSON stream, calling onObject for each parsed line
+ */
+export async function readJsonLines(response, onObject) {
+    await readLines(response, (line) => {
+        if (line.trim()) {
+            onObject(JSON.parse(line));
+        }
+    });
+}
+
+/**
+ * Extract a (possibly incomplete) string value for a key from partial JSON text.
+ * Returns null if the key hasn't started streaming yet.
+ */
+export function extractPartialJsonString(text, key) {
+    const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(text);
+    if (!match) return null;
+
+    let value = '';
+    for (let i = match.index + match[0].length; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') break;
+        if (char !== '\\') {
+            value += char;
+            continue;
+        }
+
+        const next = text[++i];
+        if (next === undefined) break;
+        if (next === 'u') {
+            const hex = text.slice(i + 1, i + 5);
+            if (hex.length < 4) break;
+            value += String.fromCharCode(parseInt(hex, 16));
+            i += 4;
+        } else {
+            value += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[next] ?? next;
+        }
+    }
+
+    return value;
+}
\ No newline at end of file
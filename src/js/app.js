@@ -1,8 +1,34 @@
 import { GeminiAPI } from './api/gemini.js';
+import { ResponseCache } from './api/cache.js';
+import { RequestScheduler } from './api/scheduler.js';
 import { TranslationManager } from './features/translation.js';
 import { ChatManager } from './features/chat.js';
-import { getStoryParams, getRandomVariant } from './utils/story-generator.js';
-import { languageNames, DEFAULT_SETTINGS } from './utils/constants.js';
+import { HistoryManager } from './features/history.js';
+import { AnalyticsManager } from './features/analytics.js';
+import { UsageManager } from './features/usage.js';
+import { FlashcardManager } from './features/flashcards.js';
+import { SpeechManager } from './features/speech.js';
+import { DictationManager } from './features/dictation.js';
+import { SpeakingManager } from './features/speaking.js';
+import { PlacementManager } from './features/placement.js';
+import { OfflineManager } from './features/offline.js';
+import { ProfileManager } from './features/profile.js';
+import { ExportManager } from './features/exporter.js';
+import { ExerciseManager } from './features/exercises.js';
+import { GlossManager } from './features/gloss.js';
+import { getStoryParams, getRandomVariant, loadCustomThemes, rememberCustomTheme } from './utils/story-generator.js';
+import { languageNames, llmProviders, geminiModels, geminiModelFallbacks, DEFAULT_SETTINGS, RESPONSE_CACHE } from './utils/constants.js';
+import { renderWordSpans } from './utils/text.js';
+import { recommendLevel } from './utils/level-advisor.js';
+import {
+    getKeyStorageMode,
+    setKeyStorageMode,
+    hasEncryptedApiKey,
+    readStoredApiKey,
+    unlockStoredApiKey,
+    storeApiKey,
+    clearStoredApiKey
+} from './utils/key-vault.js';
 
 /**
  * Main application class for Get Fluent Now language learning app
@@ -11,15 +37,41 @@ class LanguageLearningApp {
     constructor() {
         this.currentStory = null;
         this.currentSentences = [];
+        this.currentSession = null;
+        this.feedbackAbortController = null;
+        this.lastFailedAction = null;
+        this.practiceMode = DEFAULT_SETTINGS.practiceMode;
+        this.autoAdjustLevel = DEFAULT_SETTINGS.autoAdjustLevel;
+        this.placement = null;
         this.sourceLanguage = DEFAULT_SETTINGS.sourceLanguage;
         this.targetLanguage = DEFAULT_SETTINGS.targetLanguage;
         this.apiKey = null;
         this.selectedModel = DEFAULT_SETTINGS.model;
+        this.providerSettings = {
+            type: DEFAULT_SETTINGS.provider,
+            baseUrl: '',
+            modelName: ''
+        };
         
         // Initialize API and feature managers
+        this.responseCache = new ResponseCache();
+        this.requestScheduler = new RequestScheduler();
         this.geminiAPI = null;
         this.translationManager = null;
         this.chatManager = null;
+        this.historyManager = new HistoryManager();
+        this.analyticsManager = new AnalyticsManager();
+        this.usageManager = new UsageManager();
+        this.flashcardManager = new FlashcardManager();
+        this.speechManager = new SpeechManager();
+        this.dictationManager = new DictationManager(this.speechManager);
+        this.speakingManager = new SpeakingManager(this.speechManager);
+        this.placementManager = new PlacementManager(null);
+        this.exerciseManager = new ExerciseManager(null);
+        this.glossManager = new GlossManager(null);
+        this.offlineManager = new OfflineManager();
+        this.profileManager = new ProfileManager();
+        this.exportManager = new ExportManager();
     }
 
     /**
@@ -31,14 +83,36 @@ class LanguageLearningApp {
         // Set up event listeners
         this.setupEventListeners();
         
+        // Show request retries and the session's request and token counts
+        this.requestScheduler.onRetry = ({ error, delay }) => {
+            const seconds = Math.ceil(delay / 1000);
+            this.updateStatus(error.status === 429
+                ? `⏳ Rate limit reached - retrying in ${seconds}s...`
+                : `⏳ Request failed - retrying in ${seconds}s...`);
+        };
+        this.requestScheduler.onStatsChange = (stats) => this.renderSessionUsage(stats);
+        
+        // Restore the selected LLM provider
+        this.loadProviderSettings();
+        this.loadCacheSettings();
+        
         // Initialize API configuration UI
         this.initializeApiConfig();
         
-        // Check for stored API key and auto-validate
-        const storedApiKey = localStorage.getItem('gemini_api_key');
-        if (storedApiKey) {
-            document.getElementById('gemini-api-key').value = storedApiKey;
+        // Cache the app for offline practice
+        this.offlineManager.registerServiceWorker();
+        
+        // Check for stored API key and auto-validate (keyless local providers connect directly)
+        this.renderKeyStorage();
+        const storedApiKey = readStoredApiKey();
+        if (!this.offlineManager.isOnline()) {
+            document.getElementById('gemini-api-key').value = storedApiKey || '';
+            this.updateStatus('📴 You are offline - practice with your saved stories');
+        } else if (storedApiKey || !this.providerRequiresApiKey()) {
+            document.getElementById('gemini-api-key').value = storedApiKey || '';
             await this.validateApiKey();
+        } else if (hasEncryptedApiKey()) {
+            this.updateStatus('🔒 Enter your passphrase and click Unlock to use your saved API key');
         } else {
             this.updateStatus('🔑 Please enter your Gemini API key to enable AI features');
         }
@@ -46,11 +120,18 @@ class LanguageLearningApp {
         // Load saved user preferences
         this.loadUserPreferences();
         
+        // Show flashcards due for the selected language pair
+        this.refreshDeckSummary();
+        this.refreshStoryBank();
+        
         // Show app controls
         document.getElementById('app-controls').style.display = 'block';
         
         // Initialize theme selector behavior
         this.initializeThemeSelector();
+        
+        // Initialize read-aloud controls
+        this.initializeSpeechControls();
     }
 
     /**
@@ -63,19 +144,27 @@ class LanguageLearningApp {
             themeSelect.addEventListener('change', () => {
                 this.handleThemeChange();
                 this.saveUserPreferences();
+                this.refreshStoryBank();
             });
         }
 
         // Difficulty level selector
         const difficultySelect = document.getElementById('difficulty-level');
         if (difficultySelect) {
-            difficultySelect.addEventListener('change', () => this.saveUserPreferences());
+            difficultySelect.addEventListener('change', () => {
+                this.saveUserPreferences();
+                this.refreshStoryBank();
+            });
         }
 
+        // Connection changes
+        window.addEventListener('online', () => this.handleOnline());
+        window.addEventListener('offline', () => this.updateStatus('📴 You are offline - practice with your saved stories'));
+
         // Chat input
         const chatInput = document.getElementById('chat-input');
         if (chatInput) {
-            chatInput.addEventListener('keypress', (e) => this.handleChatKeyPress(e));
+            chatInput.addEventListener('keydown', (e) => this.handleChatKeyPress(e));
         }
 
         // Language selectors
@@ -89,15 +178,127 @@ class LanguageLearningApp {
         modelRadios.forEach(radio => {
             radio.addEventListener('change', () => this.updateModel());
         });
+
+        // Close the word gloss popover on outside taps and Escape
+        document.addEventListener('click', (event) => {
+            if (!event.target.closest?.('.story-word, #gloss-popover')) this.glossManager.hidePopover();
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.glossManager.hidePopover();
+        });
+
+        // Buttons and controls rendered with data-action / data-change / data-input
+        this.setupActionHandlers();
+    }
+
+    /**
+     * Route clicks, changes and input on elements with a data-action,
+     * data-change or data-input attribute to the matching app method.
+     * Replaces inline on* handlers; only the actions listed here can be
+     * triggered from markup.
+     */
+    setupActionHandlers() {
+        const index = (element) => Number(element.dataset.index);
+        const actions = {
+            // Header and API configuration
+            'toggle-about-menu': () => this.toggleAboutMenu(),
+            'show-about-modal': () => this.showAboutModal(),
+            'close-about-modal': () => this.closeAboutModal(),
+            'toggle-api-section': () => this.toggleApiSection(),
+            'validate-api-key': () => this.validateApiKey(),
+            'update-key-storage': () => this.updateKeyStorage(),
+            'unlock-api-key': () => this.unlockApiKey(),
+            'forget-api-key': () => this.forgetApiKey(),
+            'show-api-help': () => this.showApiHelp(),
+            'close-api-help': () => this.closeApiHelp(),
+            'update-provider': () => this.updateProvider(),
+            'update-cache-settings': () => this.updateCacheSettings(),
+            'clear-response-cache': () => this.clearResponseCache(),
+
+            // Practice settings
+            'swap-languages': () => this.swapLanguages(),
+            'update-auto-adjust-level': () => this.updateAutoAdjustLevel(),
+            'apply-level-recommendation': (element) => this.applyLevelRecommendation(element.dataset.level),
+            'update-practice-mode': () => this.updatePracticeMode(),
+            'start-placement-test': () => this.startPlacementTest(),
+            'dismiss-placement-prompt': () => this.dismissPlacementPrompt(),
+            'submit-placement-answer': () => this.submitPlacementAnswer(),
+            'next-placement-item': () => this.nextPlacementItem(),
+            'load-placement-item': () => this.loadPlacementItem(),
+            'apply-placement-result': () => this.applyPlacementResult(),
+            'close-placement-test': () => this.closePlacementTest(),
+
+            // Story and practice
+            'generate-story': () => this.generateStory(),
+            'save-stories-for-offline': () => this.saveStoriesForOffline(),
+            'speak-story': (element) => this.speakStory(element),
+            'update-speech-rate': () => this.updateSpeechRate(),
+            'speak-sentence': (element) => this.speakSentence(index(element), element),
+            'gloss-word': (element) => this.glossManager.toggleWord(element),
+            'close-gloss': () => this.glossManager.hidePopover(),
+            'play-dictation-sentence': (element) => this.playDictationSentence(index(element), element),
+            'check-dictation': () => this.checkDictation(),
+            'record-sentence': (element) => this.recordSentence(index(element), element),
+            'get-pronunciation-feedback': () => this.getPronunciationFeedback(),
+            'submit-sentence-translations': () => this.submitSentenceTranslations(),
+            'cancel-feedback-request': () => this.cancelFeedbackRequest(),
+            'generate-mini-lesson': () => this.generateMiniLesson(),
+            'switch-tab': (element) => this.switchTab(element.dataset.tab),
+            'check-exercise': (element) => this.checkExercise(index(element)),
+            'choose-exercise-option': (element) => this.checkExercise(index(element), Number(element.dataset.option)),
+            'select-word-tile': (element) => this.exerciseManager.selectTile(index(element), Number(element.dataset.position)),
+            'reveal-exercise-answer': (element) => this.revealExerciseAnswer(index(element)),
+            'save-lesson-card': (element) => this.saveLessonCard(element.dataset.kind, index(element), element),
+            'export-results': (element) => this.exportResults(element.dataset.format),
+
+            // Error recovery
+            'retry-last-action': () => this.retryLastAction(),
+            'switch-to-lighter-model': () => this.switchToLighterModel(),
+            'reenter-api-key': () => this.reenterApiKey(),
+
+            // Flashcards, progress, usage and history
+            'start-review': () => this.startReview(),
+            'show-review-answer': () => this.showReviewAnswer(),
+            'grade-review-card': (element) => this.gradeReviewCard(element.dataset.grade),
+            'close-review': () => this.closeReview(),
+            'toggle-analytics': () => this.toggleAnalytics(),
+            'update-analytics-filters': () => this.updateAnalyticsFilters(),
+            'toggle-usage': () => this.toggleUsage(),
+            'clear-usage': () => this.clearUsage(),
+            'toggle-history': () => this.toggleHistory(),
+            'open-history-session': (element) => this.openHistorySession(element.dataset.id),
+            'retry-history-session': (element) => this.retryHistorySession(element.dataset.id),
+            'delete-history-session': (element) => this.deleteHistorySession(element.dataset.id),
+            'export-profile': () => this.exportProfile(),
+            'import-profile': () => this.importProfile(),
+            'import-profile-file': (element) => this.importProfileFile(element),
+
+            // Chat
+            'toggle-chat': () => this.toggleChat(),
+            'minimize-chat': () => this.minimizeChat(),
+            'clear-chat': () => this.clearChat(),
+            'send-chat-message': () => this.sendChatMessage()
+        };
+
+        const listen = (eventType, attribute) => {
+            document.addEventListener(eventType, (event) => {
+                const element = event.target.closest?.(`[data-${attribute}]`);
+                const action = element && actions[element.dataset[attribute]];
+                if (action) action(element);
+            });
+        };
+        listen('click', 'action');
+        listen('change', 'change');
+        listen('input', 'input');
     }
 
     /**
      * Initialize API configuration UI
      */
     initializeApiConfig() {
-        // Check if API key exists and auto-collapse if configured
-        const storedApiKey = localStorage.getItem('gemini_api_key');
-        if (storedApiKey) {
+        // Check if API key exists and auto-collapse if configured (a locked key needs its passphrase)
+        const storedApiKey = readStoredApiKey();
+        if (storedApiKey || !this.providerRequiresApiKey()) {
             this.updateApiConfigStatus(true, false); // configured, collapsed
         } else {
             this.updateApiConfigStatus(false, true); // not configured, expanded
@@ -177,6 +378,41 @@ class LanguageLearningApp {
             // Set initial state
             customContainer.style.display = themeSelect.value === 'custom' ? 'block' : 'none';
         }
+
+        this.renderCustomThemes();
+    }
+
+    /**
+     * Offer recently used custom themes as suggestions
+     */
+    renderCustomThemes() {
+        const list = document.getElementById('custom-theme-list');
+        if (!list) return;
+
+        list.replaceChildren(...loadCustomThemes().map(({ theme }) => {
+            const option = document.createElement('option');
+            option.value = theme;
+            return option;
+        }));
+    }
+
+    /**
+     * Initialize text-to-speech controls (hidden when unsupported)
+     */
+    initializeSpeechControls() {
+        const supported = this.speechManager.isSupported();
+        document.body.classList.toggle('no-speech', !supported);
+
+        // Disable practice modes the browser can't run
+        document.querySelectorAll('#practice-mode option').forEach(option => {
+            option.disabled = !this.isPracticeModeSupported(option.value);
+        });
+
+        const rateInput = document.getElementById('speech-rate');
+        if (rateInput) {
+            rateInput.value = this.speechManager.rate;
+            this.updateSpeechRateLabel();
+        }
     }
 
     /**
@@ -189,6 +425,112 @@ class LanguageLearningApp {
         }
     }
 
+    /**
+     * Describe a failed request in an output element with buttons for the
+     * recovery actions its error type supports (retry reruns retryAction)
+     */
+    showErrorRecovery(element, error, retryAction = null) {
+        if (!element) return;
+
+        this.lastFailedAction = retryAction;
+        const labels = {
+            'retry': '🔄 Try Again',
+            'switch-model': '⚡ Switch to a Lighter Model',
+            'reenter-key': '🔑 Re-enter API Key'
+        };
+        const handlers = {
+            'retry': 'retry-last-action',
+            'switch-model': 'switch-to-lighter-model',
+            'reenter-key': 'reenter-api-key'
+        };
+        const actions = (error.recoveryActions || ['retry']).filter(action =>
+            (action !== 'retry' || retryAction) &&
+            (action !== 'switch-model' || this.getLighterModel())
+        );
+
+        element.innerHTML = `
+            <div class="error-recovery">
+                <p class="error-recovery-message"></p>
+                ${actions.length > 0 ? `
+                    <div class="error-recovery-actions">
+                        ${actions.map(action => `<button class="error-recovery-btn" data-action="${handlers[action]}">${labels[action]}</button>`).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+        // Raw API messages may contain markup, so set the text separately
+        element.querySelector('.error-recovery-message').textContent = `❌ ${error.userMessage || error.message}`;
+    }
+
+    /**
+     * Run the action that last failed again
+     */
+    async retryLastAction() {
+        const action = this.lastFailedAction;
+        this.lastFailedAction = null;
+        if (action) {
+            await action();
+        }
+    }
+
+    /**
+     * Next lighter Gemini model than the selected one, or null
+     */
+    getLighterModel() {
+        if (this.providerSettings.type !== 'gemini') return null;
+        return geminiModelFallbacks[this.selectedModel] || null;
+    }
+
+    /**
+     * Select the next lighter Gemini model and retry the failed action
+     */
+    async switchToLighterModel() {
+        const lighterModel = this.getLighterModel();
+        if (!lighterModel) return;
+
+        this.selectedModel = lighterModel;
+        const radio = document.querySelector(`input[name="model"][value="${lighterModel}"]`);
+        if (radio) radio.checked = true;
+        if (this.geminiAPI) {
+            this.geminiAPI.setModel(lighterModel);
+        }
+        this.updateStatus(`⚡ Switched to ${geminiModels[lighterModel]}`);
+
+        await this.retryLastAction();
+    }
+
+    /**
+     * Open the API settings with the key field focused
+     */
+    reenterApiKey() {
+        this.updateApiConfigStatus(false, true);
+        const keyInput = document.getElementById('gemini-api-key');
+        if (keyInput) {
+            keyInput.focus();
+            keyInput.select();
+        }
+        this.updateStatus('🔑 Enter a valid API key and click Validate Key');
+    }
+
+    /**
+     * Show how many requests and tokens this session has used
+     */
+    renderSessionUsage(stats) {
+        const usage = document.getElementById('session-usage');
+        if (!usage) return;
+
+        const tokens = stats.inputTokens + stats.outputTokens;
+        const parts = [
+            `${stats.requests} request${stats.requests === 1 ? '' : 's'}`,
+            `${tokens.toLocaleString()} tokens (${stats.inputTokens.toLocaleString()} in / ${stats.outputTokens.toLocaleString()} out)`
+        ];
+        if (stats.retries > 0) parts.push(`${stats.retries} retr${stats.retries === 1 ? 'y' : 'ies'}`);
+        if (stats.fallbacks > 0) parts.push(`${stats.fallbacks} fallback${stats.fallbacks === 1 ? '' : 's'} to a lighter model`);
+
+        usage.textContent = `📡 This session: ${parts.join(' · ')}`;
+        usage.style.display = 'block';
+    }
+
     /**
      * Validate the API key
      */
@@ -197,25 +539,51 @@ class LanguageLearningApp {
         if (!keyInput) return;
 
         const apiKey = keyInput.value.trim();
-        if (!apiKey) {
+        if (!apiKey && this.providerRequiresApiKey()) {
             this.updateStatus('❌ Please enter your Gemini API key');
             return;
         }
 
+        // A new key is stored once it validates, which needs the passphrase in encrypted mode
+        const passphraseInput = document.getElementById('key-passphrase');
+        const needsStoring = apiKey && apiKey !== this.apiKey;
+        if (needsStoring && getKeyStorageMode() === 'encrypted' && !passphraseInput?.value) {
+            this.updateStatus('❌ Enter a passphrase to encrypt your API key');
+            passphraseInput?.focus();
+            return;
+        }
+
         this.updateStatus('🔄 Validating API key...');
 
         try {
             // Create temporary API instance for validation
-            const tempAPI = new GeminiAPI(apiKey, this.selectedModel);
+            const tempAPI = new GeminiAPI(apiKey, this.selectedModel, this.providerSettings, {
+                cache: this.responseCache,
+                scheduler: this.requestScheduler,
+                usageTracker: this.usageManager
+            });
             const result = await tempAPI.validateApiKey();
 
             if (result.valid) {
+                if (needsStoring) {
+                    await storeApiKey(apiKey, passphraseInput?.value || '');
+                    if (passphraseInput) passphraseInput.value = '';
+                }
                 this.apiKey = apiKey;
-                localStorage.setItem('gemini_api_key', apiKey);
+                this.renderKeyStorage();
                 
-                // Initialize API and managers
+                // Initialize API and managers (keep a translation manager opened from history)
                 this.geminiAPI = tempAPI;
-                this.translationManager = new TranslationManager(this.geminiAPI);
+                if (this.translationManager) {
+                    this.translationManager.geminiAPI = this.geminiAPI;
+                } else {
+                    this.translationManager = new TranslationManager(this.geminiAPI);
+                }
+                this.speakingManager.geminiAPI = this.geminiAPI;
+                this.placementManager.geminiAPI = this.geminiAPI;
+                this.exerciseManager.geminiAPI = this.geminiAPI;
+                this.glossManager.geminiAPI = this.geminiAPI;
+                this.offlineManager.geminiAPI = this.geminiAPI;
                 this.chatManager = new ChatManager(this.geminiAPI);
                 this.chatManager.initializeChat();
                 
@@ -223,6 +591,9 @@ class LanguageLearningApp {
                 this.updateApiConfigStatus(true);
                 
                 this.updateStatus('✅ API key validated! Ready to generate stories');
+                
+                // Grade anything submitted while offline
+                await this.processGradingQueue();
             } else {
                 this.updateStatus(`❌ ${result.error}`);
                 this.updateApiConfigStatus(false, true); // Keep expanded on error
@@ -233,6 +604,120 @@ class LanguageLearningApp {
         }
     }
 
+    /**
+     * Show the key storage mode, with the passphrase field in encrypted
+     * mode and the unlock button while an encrypted key is locked
+     */
+    renderKeyStorage() {
+        const modeSelect = document.getElementById('key-storage-mode');
+        const passphraseInput = document.getElementById('key-passphrase');
+        const unlockBtn = document.getElementById('unlock-key-btn');
+        const mode = getKeyStorageMode();
+
+        if (modeSelect) modeSelect.value = mode;
+        if (passphraseInput) {
+            passphraseInput.style.display = mode === 'encrypted' ? 'inline-block' : 'none';
+        }
+        if (unlockBtn) {
+            unlockBtn.style.display = hasEncryptedApiKey() && !this.apiKey ? 'inline-block' : 'none';
+        }
+    }
+
+    /**
+     * Change how the API key is stored, moving a validated key to the new storage
+     */
+    async updateKeyStorage() {
+        const modeSelect = document.getElementById('key-storage-mode');
+        if (!modeSelect) return;
+
+        setKeyStorageMode(modeSelect.value);
+        this.renderKeyStorage();
+
+        if (modeSelect.value === 'encrypted') {
+            // Never leave a plaintext copy behind while waiting for the passphrase
+            clearStoredApiKey();
+            if (!this.apiKey) return;
+
+            // Re-validating stores the key encrypted with the new passphrase
+            this.apiKey = null;
+            this.updateStatus('🔒 Your key is no longer saved - enter a passphrase and click Validate Key to save it encrypted');
+            document.getElementById('key-passphrase')?.focus();
+            return;
+        }
+
+        if (!this.apiKey) return;
+
+        try {
+            await storeApiKey(this.apiKey);
+            this.updateStatus(modeSelect.value === 'session'
+                ? '✅ Your API key will be forgotten when you close this tab'
+                : '✅ Your API key is saved on this device');
+        } catch (error) {
+            console.error('API key storage error:', error);
+            this.updateStatus('❌ Failed to save your API key');
+        }
+    }
+
+    /**
+     * Decrypt the saved API key with the entered passphrase and connect
+     */
+    async unlockApiKey() {
+        const passphraseInput = document.getElementById('key-passphrase');
+        const keyInput = document.getElementById('gemini-api-key');
+        if (!passphraseInput || !keyInput) return;
+
+        if (!passphraseInput.value) {
+            this.updateStatus('❌ Enter your passphrase to unlock your API key');
+            passphraseInput.focus();
+            return;
+        }
+
+        try {
+            this.updateStatus('🔓 Unlocking API key...');
+            keyInput.value = await unlockStoredApiKey(passphraseInput.value);
+        } catch (error) {
+            console.error('API key unlock error:', error);
+            this.updateStatus(`❌ ${error.message}`);
+            return;
+        }
+
+        if (!this.offlineManager.isOnline()) {
+            this.updateStatus('📴 API key unlocked - it will be validated when you are back online');
+            return;
+        }
+
+        await this.validateApiKey();
+    }
+
+    /**
+     * Remove the saved API key from this device and disconnect
+     */
+    forgetApiKey() {
+        if (!confirm('Forget your API key on this device? You will need to enter it again to use AI features.')) return;
+
+        clearStoredApiKey();
+        this.apiKey = null;
+
+        // Drop every client holding the key in memory
+        this.geminiAPI = null;
+        this.chatManager = null;
+        if (this.translationManager) this.translationManager.geminiAPI = null;
+        this.speakingManager.geminiAPI = null;
+        this.placementManager.geminiAPI = null;
+        this.exerciseManager.geminiAPI = null;
+        this.glossManager.geminiAPI = null;
+        this.offlineManager.geminiAPI = null;
+
+        const keyInput = document.getElementById('gemini-api-key');
+        const passphraseInput = document.getElementById('key-passphrase');
+        if (keyInput) keyInput.value = '';
+        if (passphraseInput) passphraseInput.value = '';
+
+        this.renderKeyStorage();
+        this.updateApiConfigStatus(false, true);
+        this.updateStatus('🗑️ API key forgotten');
+    }
+
     /**
      * Update the selected model
      */
@@ -247,6 +732,173 @@ class LanguageLearningApp {
         }
     }
 
+    /**
+     * Whether the selected provider needs an API key
+     */
+    providerRequiresApiKey() {
+        return llmProviders[this.providerSettings.type]?.requiresApiKey !== false;
+    }
+
+    /**
+     * Update the selected LLM provider from the provider controls
+     */
+    updateProvider() {
+        const providerSelect = document.getElementById('llm-provider');
+        const baseUrlInput = document.getElementById('provider-base-url');
+        const modelNameInput = document.getElementById('provider-model-name');
+        if (!providerSelect) return;
+
+        const type = providerSelect.value;
+        const typeChanged = type !== this.providerSettings.type;
+
+        this.providerSettings = {
+            type,
+            // Switching provider resets the endpoint fields to that provider's defaults
+            baseUrl: typeChanged ? '' : (baseUrlInput?.value.trim() || ''),
+            modelName: typeChanged ? '' : (modelNameInput?.value.trim() || '')
+        };
+
+        this.saveProviderSettings();
+        this.renderProviderSettings();
+
+        if (this.geminiAPI) {
+            this.updateStatus('🔄 Provider settings changed — click Validate Key to reconnect');
+        }
+    }
+
+    /**
+     * Show provider-specific fields for the selected provider
+     */
+    renderProviderSettings() {
+        const { type, baseUrl, modelName } = this.providerSettings;
+        const provider = llmProviders[type] || llmProviders.gemini;
+        const isGemini = type === 'gemini';
+
+        const providerSelect = document.getElementById('llm-provider');
+        const settings = document.getElementById('provider-settings');
+        const modelOptions = document.getElementById('model-options');
+        const baseUrlInput = document.getElementById('provider-base-url');
+        const modelNameInput = document.getElementById('provider-model-name');
+        const keyInput = document.getElementById('gemini-api-key');
+
+        if (providerSelect) providerSelect.value = type;
+        if (settings) settings.style.display = isGemini ? 'none' : 'flex';
+        if (modelOptions) modelOptions.style.display = isGemini ? 'flex' : 'none';
+        if (baseUrlInput) {
+            baseUrlInput.value = baseUrl;
+            baseUrlInput.placeholder = `Base URL (default: ${provider.defaultBaseUrl || ''})`;
+        }
+        if (modelNameInput) {
+            modelNameInput.value = modelName;
+            modelNameInput.placeholder = `Model name (default: ${provider.defaultModel || ''})`;
+        }
+        if (keyInput) {
+            keyInput.placeholder = isGemini
+                ? 'Enter your Gemini API key'
+                : `API key for ${provider.name}${provider.requiresApiKey ? '' : ' (optional)'}`;
+        }
+    }
+
+    /**
+     * Save provider settings to localStorage
+     */
+    saveProviderSettings() {
+        localStorage.setItem('llm_provider_settings', JSON.stringify(this.providerSettings));
+    }
+
+    /**
+     * Load provider settings from localStorage
+     */
+    loadProviderSettings() {
+        try {
+            const stored = localStorage.getItem('llm_provider_settings');
+            if (stored) {
+                const settings = JSON.parse(stored);
+                if (llmProviders[settings.type]) {
+                    this.providerSettings = {
+                        type: settings.type,
+                        baseUrl: settings.baseUrl || '',
+                        modelName: settings.modelName || ''
+                    };
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load provider settings:', error);
+        }
+
+        this.renderProviderSettings();
+    }
+
+    /**
+     * Update the response cache lifetime and size limit from the cache controls
+     */
+    updateCacheSettings() {
+        const ttlSelect = document.getElementById('cache-ttl');
+        const maxEntriesInput = document.getElementById('cache-max-entries');
+
+        this.responseCache.configure({
+            ttlHours: ttlSelect ? ttlSelect.value : RESPONSE_CACHE.ttlHours,
+            maxEntries: maxEntriesInput ? maxEntriesInput.value : RESPONSE_CACHE.maxEntries
+        });
+        localStorage.setItem('response_cache_settings', JSON.stringify({
+            ttlHours: this.responseCache.ttlHours,
+            maxEntries: this.responseCache.maxEntries
+        }));
+
+        this.renderCacheSettings();
+    }
+
+    /**
+     * Load response cache settings from localStorage
+     */
+    loadCacheSettings() {
+        try {
+            const stored = localStorage.getItem('response_cache_settings');
+            if (stored) {
+                this.responseCache.configure(JSON.parse(stored));
+            }
+        } catch (error) {
+            console.warn('Could not load cache settings:', error);
+        }
+
+        this.renderCacheSettings();
+    }
+
+    /**
+     * Show the current cache settings and how many responses are cached
+     */
+    async renderCacheSettings() {
+        const ttlSelect = document.getElementById('cache-ttl');
+        const maxEntriesInput = document.getElementById('cache-max-entries');
+        const summary = document.getElementById('cache-summary');
+
+        if (ttlSelect) ttlSelect.value = String(this.responseCache.ttlHours);
+        if (maxEntriesInput) maxEntriesInput.value = this.responseCache.maxEntries;
+        if (!summary) return;
+
+        try {
+            const count = await this.responseCache.count();
+            summary.textContent = `${count} cached response${count === 1 ? '' : 's'}`;
+        } catch (error) {
+            summary.textContent = 'Caching is unavailable in this browser';
+        }
+    }
+
+    /**
+     * Remove all cached responses
+     */
+    async clearResponseCache() {
+        try {
+            await this.responseCache.clear();
+            this.updateStatus('🗑️ Response cache cleared');
+        } catch (error) {
+            console.error('Cache clear error:', error);
+            this.updateStatus('❌ Failed to clear the response cache');
+        }
+
+        this.renderCacheSettings();
+    }
+
     /**
      * Update language settings
      */
@@ -260,6 +912,8 @@ class LanguageLearningApp {
             
             // Save preferences
             this.saveUserPreferences();
+            this.refreshDeckSummary();
+            this.refreshStoryBank();
             
             // Prevent same language selection
             if (this.sourceLanguage === this.targetLanguage) {
@@ -315,7 +969,8 @@ class LanguageLearningApp {
      * Generate a new story
      */
     async generateStory() {
-        if (!this.geminiAPI) {
+        const offline = !this.offlineManager.isOnline();
+        if (!this.geminiAPI && !offline) {
             this.updateStatus('❌ Please validate your API key first');
             return;
         }
@@ -334,41 +989,75 @@ class LanguageLearningApp {
 
         try {
             // Update UI for generation state
+            this.speechManager.stop();
             generateBtn.textContent = '⏳ Generating...';
             generateBtn.disabled = true;
             storyOutput.textContent = 'Generating your story...';
             this.updateStatus('✨ Generating story...');
 
             // Get story parameters
-            const storyParams = getStoryParams(theme, customTheme);
+            let storyParams = getStoryParams(theme, customTheme);
+            let sentences;
             
-            // Generate story as structured sentences
-            const sentences = await this.geminiAPI.generateStructuredStory(
-                languageNames[this.sourceLanguage],
-                difficulty,
-                storyParams.theme,
-                storyParams.variant
-            );
+            if (offline) {
+                // Practice a story saved while online
+                const banked = await this.offlineManager.takeStory(this.getStoryLanguage(), difficulty, theme, customTheme);
+                if (!banked) {
+                    throw new Error(`No saved ${this.getStoryLanguage()} ${difficulty} stories for this theme. Save some for offline while you're online.`);
+                }
+                storyParams = { theme: banked.theme, variant: banked.variant };
+                sentences = banked.sentences;
+                this.refreshStoryBank();
+            } else {
+                // Generate story as structured sentences
+                sentences = await this.geminiAPI.generateStructuredStory(
+                    languageNames[this.getStoryLanguage()],
+                    difficulty,
+                    storyParams.theme,
+                    storyParams.variant
+                );
+            }
 
             // Update UI with generated story
             this.currentStory = sentences.join(' ');
             this.currentSentences = sentences;
-            storyOutput.textContent = this.currentStory;
-            storyOutput.classList.add('has-content');
             
-            // Enable translation section with sentences
-            this.translationManager.setCurrentSentences(sentences);
-            this.translationManager.showTranslationSection();
+            // Show the story and the practice interface for the selected mode
+            if (!this.translationManager) {
+                this.translationManager = new TranslationManager(this.geminiAPI);
+            }
+            this.showPracticeView();
             
             // Update chat context
-            this.chatManager.updateContextWithStory(this.currentStory, this.sourceLanguage, this.targetLanguage);
+            if (this.chatManager) {
+                this.chatManager.updateContextWithStory(this.currentStory, this.getStoryLanguage(), this.getAnswerLanguage());
+            }
+            
+            if (theme === 'custom') {
+                rememberCustomTheme(storyParams.theme);
+                this.renderCustomThemes();
+            }
+
+            // Record the new practice session
+            await this.startSession({
+                level: difficulty,
+                theme: storyParams.theme,
+                themeKey: theme,
+                variant: storyParams.variant,
+                sentences
+            });
+            this.prepareGlosses();
             
-            this.updateStatus('✅ Story generated! Translate it to practice');
+            this.updateStatus({
+                dictation: '✅ Story generated! Listen to each sentence and type what you hear',
+                speaking: '✅ Story generated! Record yourself reading each sentence',
+                production: `✅ Story generated! Write each sentence in ${this.sourceLanguage}`
+            }[this.practiceMode] || '✅ Story generated! Translate it to practice');
 
         } catch (error) {
             console.error('Story generation error:', error);
             this.updateStatus('❌ Failed to generate story');
-            storyOutput.textContent = `Error: ${error.message}`;
+            this.showErrorRecovery(storyOutput, error, () => this.generateStory());
         } finally {
             // Reset button state
             generateBtn.textContent = '✨ Generate New Story';
@@ -377,73 +1066,346 @@ class LanguageLearningApp {
     }
 
     /**
-     * Submit translation for feedback
+     * Render the current story with word spans for read-aloud highlighting
      */
-    async submitTranslation() {
-        if (!this.translationManager) {
-            this.updateStatus('❌ Translation manager not initialized');
-            return;
-        }
+    renderStory(storyOutput) {
+        renderWordSpans(storyOutput, this.currentStory);
+        storyOutput.classList.add('has-content');
 
-        const input = document.getElementById('translation-input');
-        const submitBtn = document.getElementById('submit-translation-btn');
-        const feedbackOutput = document.getElementById('feedback-output');
-        const miniLessonBtn = document.getElementById('mini-lesson-btn');
-        
-        if (!input || !submitBtn || !feedbackOutput) return;
+        const speechControls = document.getElementById('speech-controls');
+        if (speechControls) {
+            speechControls.style.display = 'flex';
+        }
+    }
 
-        const userTranslation = input.value.trim();
-        
-        try {
-            // Update UI for processing state
-            submitBtn.textContent = '⏳ Getting feedback...';
-            submitBtn.disabled = true;
-            feedbackOutput.textContent = 'Analyzing your translation...';
-            this.updateStatus('🔍 Analyzing your translation...');
+    /**
+     * Show the story and the interface for the current practice mode
+     */
+    showPracticeView() {
+        const storyOutput = document.getElementById('story-output');
 
-            // Process translation
-            const result = await this.translationManager.processTranslation(
-                userTranslation, 
-                this.sourceLanguage, 
-                this.targetLanguage
-            );
+        const translating = this.practiceMode === 'translation' || this.practiceMode === 'production';
+        if (!translating) this.translationManager.hideTranslationSection();
+        if (this.practiceMode !== 'dictation') this.dictationManager.hideDictationSection();
+        if (this.practiceMode !== 'speaking') this.speakingManager.hideSpeakingSection();
+
+        if (this.practiceMode === 'dictation') {
+            if (storyOutput) this.hideStory(storyOutput);
+            this.dictationManager.setCurrentSentences(this.currentSentences);
+            this.dictationManager.showDictationSection();
+        } else if (this.practiceMode === 'speaking') {
+            if (storyOutput) this.renderStory(storyOutput);
+            this.speakingManager.setCurrentSentences(this.currentSentences);
+            this.speakingManager.showSpeakingSection();
+        } else {
+            // Production mode: the story is in the native language and answers are written in the study language
+            if (storyOutput) this.renderStory(storyOutput);
+            this.translationManager.setCurrentSentences(this.currentSentences, {
+                answerLanguage: this.practiceMode === 'production' ? this.getAnswerLanguage() : null
+            });
+            this.translationManager.showTranslationSection();
+        }
+    }
 
-            // Display feedback
-            this.translationManager.displayFeedback(feedbackOutput, result);
-            
-            // Show mini lesson button
-            if (miniLessonBtn) {
-                miniLessonBtn.style.display = 'inline-block';
-            }
-            
-            this.updateStatus('✅ Feedback provided! Check your translation');
+    /**
+     * Keep the story text hidden until the dictation is checked
+     */
+    hideStory(storyOutput) {
+        storyOutput.textContent = '🎧 The story is hidden in dictation mode. Listen to each sentence below and type what you hear.';
+        storyOutput.classList.remove('has-content');
 
-        } catch (error) {
-            console.error('Translation submission error:', error);
-            this.updateStatus('❌ Failed to process translation');
-            feedbackOutput.textContent = `Error: ${error.message}`;
-        } finally {
-            // Reset button state
-            submitBtn.textContent = '🎯 Get Feedback';
-            submitBtn.disabled = false;
+        const speechControls = document.getElementById('speech-controls');
+        if (speechControls) {
+            speechControls.style.display = 'flex';
         }
     }
 
     /**
-     * Submit sentence-by-sentence translations for feedback
+     * Switch practice modes, re-showing the current story in the new mode
      */
-    async submitSentenceTranslations() {
+    updatePracticeMode() {
+        const modeSelect = document.getElementById('practice-mode');
+        if (!modeSelect) return;
+
+        this.practiceMode = modeSelect.value;
+        this.saveUserPreferences();
+        this.refreshStoryBank();
+
+        if (this.currentSentences.length > 0 && this.translationManager) {
+            this.speechManager.stop();
+            this.glossManager.hidePopover();
+            this.showPracticeView();
+        }
+    }
+
+    /**
+     * Language the story is written in (the native language in production mode)
+     */
+    getStoryLanguage() {
+        return this.practiceMode === 'production' ? this.targetLanguage : this.sourceLanguage;
+    }
+
+    /**
+     * Language the learner answers in
+     */
+    getAnswerLanguage() {
+        return this.practiceMode === 'production' ? this.sourceLanguage : this.targetLanguage;
+    }
+
+    /**
+     * Whether the browser supports the speech features a practice mode needs
+     */
+    isPracticeModeSupported(mode) {
+        if (mode === 'dictation') return this.speechManager.isSupported();
+        if (mode === 'speaking') return this.speakingManager.isSupported();
+        return true;
+    }
+
+    /**
+     * Set the practice mode and its selector without saving preferences
+     */
+    setPracticeMode(mode) {
+        // Fall back to translation when the browser can't run the mode
+        if (!this.isPracticeModeSupported(mode)) {
+            mode = 'translation';
+        }
+
+        this.practiceMode = mode;
+        const modeSelect = document.getElementById('practice-mode');
+        if (modeSelect) modeSelect.value = mode;
+    }
+
+    /**
+     * Read the whole story aloud (or stop if it is already playing)
+     */
+    async speakStory(button) {
+        if (!this.currentStory) return;
+
+        if (this.speechManager.isSpeaking() && this.speechManager.activeButton === button) {
+            this.speechManager.stop();
+            return;
+        }
+
+        try {
+            await this.speechManager.speak(this.currentStory, this.getStoryLanguage(), {
+                element: document.getElementById('story-output'),
+                button
+            });
+        } catch (error) {
+            this.updateStatus(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Read a single sentence aloud (or stop if it is already playing)
+     */
+    async speakSentence(index, button) {
+        const sentence = this.currentSentences[index];
+        if (!sentence) return;
+
+        if (this.speechManager.isSpeaking() && this.speechManager.activeButton === button) {
+            this.speechManager.stop();
+            return;
+        }
+
+        try {
+            await this.speechManager.speak(sentence, this.getStoryLanguage(), {
+                element: button.closest('.sentence-original')?.querySelector('.sentence-text'),
+                button
+            });
+        } catch (error) {
+            this.updateStatus(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Read a hidden dictation sentence aloud (or stop if it is already playing)
+     */
+    async playDictationSentence(index, button) {
+        try {
+            await this.dictationManager.playSentence(index, this.sourceLanguage, button);
+        } catch (error) {
+            this.updateStatus(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Score the typed dictation and reveal the story
+     */
+    async checkDictation() {
+        let result;
+        try {
+            result = this.dictationManager.scoreTranscripts(this.dictationManager.collectTranscripts());
+        } catch (error) {
+            this.updateStatus(`❌ ${error.message}`);
+            return;
+        }
+
+        this.speechManager.stop();
+        this.dictationManager.displayResults(result);
+
+        const storyOutput = document.getElementById('story-output');
+        if (storyOutput) this.renderStory(storyOutput);
+
+        await this.saveSessionProgress({ dictationResults: this.dictationManager.toSessionRecord(result) });
+
+        this.updateStatus(`✅ Dictation checked: ${this.dictationManager.formatPercent(result.wordAccuracy)} of words correct`);
+    }
+
+    /**
+     * Record the learner reading a sentence aloud (or stop the recording)
+     */
+    async recordSentence(index, button) {
+        if (this.speakingManager.isRecording) {
+            this.speakingManager.stopRecording();
+            return;
+        }
+
+        try {
+            this.speechManager.stop();
+            this.updateStatus('🎙️ Listening... read the sentence aloud');
+
+            const attempt = await this.speakingManager.recordSentence(index, this.sourceLanguage, button);
+            if (!attempt) return;
+
+            await this.saveSessionProgress({ speakingResults: this.speakingManager.toSessionRecord() });
+            this.updateStatus(`✅ ${this.speakingManager.formatPercent(attempt.wordAccuracy)} of words recognized`);
+        } catch (error) {
+            console.error('Speech recognition error:', error);
+            this.updateStatus(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Get AI pronunciation and fluency feedback on the recorded sentences
+     */
+    async getPronunciationFeedback() {
+        if (!this.geminiAPI) {
+            this.updateStatus('❌ Please validate your API key first');
+            return;
+        }
+
+        const feedbackBtn = document.getElementById('pronunciation-feedback-btn');
+
+        try {
+            if (feedbackBtn) {
+                feedbackBtn.textContent = '⏳ Getting feedback...';
+                feedbackBtn.disabled = true;
+            }
+            this.updateStatus('🗣️ Analyzing your pronunciation...');
+
+            const feedback = await this.speakingManager.getPronunciationFeedback(this.sourceLanguage);
+            this.speakingManager.displayPronunciationFeedback(feedback);
+            await this.saveSessionProgress({ pronunciationFeedback: feedback });
+
+            this.updateStatus('✅ Pronunciation feedback ready!');
+        } catch (error) {
+            console.error('Pronunciation feedback error:', error);
+            this.updateStatus(`❌ ${error.userMessage || error.message}`);
+        } finally {
+            if (feedbackBtn) {
+                feedbackBtn.textContent = '🗣️ Get Pronunciation Feedback';
+                feedbackBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Update the read-aloud speed
+     */
+    updateSpeechRate() {
+        const rateInput = document.getElementById('speech-rate');
+        if (!rateInput) return;
+
+        this.speechManager.setRate(rateInput.value);
+        this.updateSpeechRateLabel();
+        this.saveUserPreferences();
+    }
+
+    /**
+     * Show the current read-aloud speed next to the slider
+     */
+    updateSpeechRateLabel() {
+        const label = document.getElementById('speech-rate-value');
+        if (label) {
+            label.textContent = `${this.speechManager.rate.toFixed(1)}×`;
+        }
+    }
+
+    /**
+     * Submit translation for feedback
+     */
+    async submitTranslation() {
         if (!this.translationManager) {
             this.updateStatus('❌ Translation manager not initialized');
             return;
         }
 
+        const input = document.getElementById('translation-input');
         const submitBtn = document.getElementById('submit-translation-btn');
         const feedbackOutput = document.getElementById('feedback-output');
         const miniLessonBtn = document.getElementById('mini-lesson-btn');
         
+        if (!input || !submitBtn || !feedbackOutput) return;
+
+        const userTranslation = input.value.trim();
+        
+        try {
+            // Update UI for processing state
+            submitBtn.textContent = '⏳ Getting feedback...';
+            submitBtn.disabled = true;
+            feedbackOutput.textContent = 'Analyzing your translation...';
+            this.updateStatus('🔍 Analyzing your translation...');
+
+            // Process translation
+            const result = await this.translationManager.processTranslation(
+                userTranslation, 
+                this.getStoryLanguage(), 
+                this.getAnswerLanguage()
+            );
+
+            // Display feedback
+            this.translationManager.displayFeedback(feedbackOutput, result);
+            
+            // Show mini lesson button
+            if (miniLessonBtn) {
+                miniLessonBtn.style.display = 'inline-block';
+            }
+            
+            this.updateStatus('✅ Feedback provided! Check your translation');
+
+        } catch (error) {
+            console.error('Translation submission error:', error);
+            this.updateStatus('❌ Failed to process translation');
+            this.showErrorRecovery(feedbackOutput, error, () => this.submitTranslation());
+        } finally {
+            // Reset button state
+            submitBtn.textContent = '🎯 Get Feedback';
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Submit sentence-by-sentence translations for feedback
+     */
+    async submitSentenceTranslations() {
+        if (!this.translationManager) {
+            this.updateStatus('❌ Translation manager not initialized');
+            return;
+        }
+
+        const submitBtn = document.getElementById('submit-translation-btn');
+        const cancelBtn = document.getElementById('cancel-request-btn');
+        const feedbackOutput = document.getElementById('feedback-output');
+        const miniLessonBtn = document.getElementById('mini-lesson-btn');
+        
         if (!submitBtn || !feedbackOutput) return;
 
+        if (!this.offlineManager.isOnline() || !this.geminiAPI) {
+            await this.queueSentenceTranslations(feedbackOutput);
+            return;
+        }
+
         try {
             // Update UI for processing state
             submitBtn.textContent = '⏳ Getting feedback...';
@@ -451,15 +1413,38 @@ class LanguageLearningApp {
             feedbackOutput.textContent = 'Analyzing your translations...';
             this.updateStatus('🔍 Analyzing your translations...');
 
-            // Process sentence translations
+            // Allow the streamed grading request to be cancelled
+            this.feedbackAbortController = new AbortController();
+            if (cancelBtn) cancelBtn.style.display = 'inline-block';
+
+            // Process sentence translations, showing progress as the response streams
             const result = await this.translationManager.processSentenceTranslations(
-                this.sourceLanguage, 
-                this.targetLanguage
+                this.getStoryLanguage(), 
+                this.getAnswerLanguage(),
+                {
+                    direction: this.practiceMode === 'production' ? 'production' : 'comprehension',
+                    signal: this.feedbackAbortController.signal,
+                    onProgress: (partialResponse) => {
+                        this.translationManager.displayStreamingFeedback(feedbackOutput, partialResponse);
+                    }
+                }
             );
 
             // Display sentence feedback
             this.translationManager.displaySentenceFeedback(feedbackOutput, result);
             
+            // Save translations and grades with the session
+            await this.saveSessionProgress({
+                userTranslations: this.translationManager.collectSentenceTranslations(),
+                sentenceFeedback: result.sentenceFeedback,
+                overallFeedback: result.overallFeedback,
+                translatedCount: result.translatedCount
+            });
+            if (this.analyticsManager.isOpen) {
+                await this.analyticsManager.renderDashboard();
+            }
+            await this.updateLevelRecommendation();
+            
             // Show mini lesson button
             if (miniLessonBtn) {
                 miniLessonBtn.style.display = 'inline-block';
@@ -468,13 +1453,158 @@ class LanguageLearningApp {
             this.updateStatus('✅ Feedback provided! Check your translations');
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                this.updateStatus('⏹️ Feedback request cancelled');
+                feedbackOutput.textContent = 'Feedback request cancelled.';
+                return;
+            }
             console.error('Sentence translation submission error:', error);
             this.updateStatus('❌ Failed to process translations');
-            feedbackOutput.textContent = `Error: ${error.message}`;
+            this.showErrorRecovery(feedbackOutput, error, () => this.submitSentenceTranslations());
         } finally {
             // Reset button state
             submitBtn.textContent = '🎯 Get Feedback';
             submitBtn.disabled = false;
+            if (cancelBtn) cancelBtn.style.display = 'none';
+            this.feedbackAbortController = null;
+        }
+    }
+
+    /**
+     * Save sentence translations written offline so they are graded once
+     * the connection returns
+     */
+    async queueSentenceTranslations(feedbackOutput) {
+        const userTranslations = this.translationManager.collectSentenceTranslations();
+        if (!userTranslations.some(translation => translation)) {
+            this.updateStatus('❌ Please translate at least one sentence first');
+            return;
+        }
+
+        try {
+            await this.saveSessionProgress({ userTranslations });
+            await this.offlineManager.queueGrading({
+                sessionId: this.currentSession?.id || null,
+                sentences: this.currentSentences,
+                userTranslations,
+                sourceLanguage: this.getStoryLanguage(),
+                targetLanguage: this.getAnswerLanguage(),
+                direction: this.practiceMode === 'production' ? 'production' : 'comprehension'
+            });
+            feedbackOutput.textContent = "📴 You're offline. Your translations are saved and will be graded when you're back online.";
+            this.updateStatus('📥 Translations queued for grading');
+            this.refreshStoryBank();
+        } catch (error) {
+            console.error('Offline queue error:', error);
+            this.updateStatus('❌ Could not save your translations for later');
+        }
+    }
+
+    /**
+     * Grade submissions queued while offline and store the grades with their sessions
+     */
+    async processGradingQueue() {
+        try {
+            const graded = await this.offlineManager.processQueue(async (entry, result) => {
+                if (entry.sessionId) {
+                    await this.historyManager.updateSession(entry.sessionId, {
+                        sentenceFeedback: result.sentenceFeedback,
+                        overallFeedback: result.overallFeedback,
+                        translatedCount: result.translatedCount
+                    });
+                }
+
+                // Show the grades if the learner is still on that story
+                if (entry.sessionId && entry.sessionId === this.currentSession?.id) {
+                    this.currentSession = await this.historyManager.getSession(entry.sessionId);
+                    this.translationManager.displaySentenceFeedback(document.getElementById('feedback-output'), result);
+                }
+            });
+
+            if (graded > 0) {
+                this.updateStatus(`✅ Graded ${graded} submission${graded === 1 ? '' : 's'} from while you were offline`);
+                if (this.analyticsManager.isOpen) {
+                    await this.analyticsManager.renderDashboard();
+                }
+                this.refreshStoryBank();
+                await this.updateLevelRecommendation();
+            }
+        } catch (error) {
+            console.error('Grading queue error:', error);
+        }
+    }
+
+    /**
+     * Reconnect and grade queued submissions when the connection returns
+     */
+    async handleOnline() {
+        if (this.geminiAPI) {
+            this.updateStatus('🌐 Back online');
+            await this.processGradingQueue();
+        } else if (readStoredApiKey() || document.getElementById('gemini-api-key')?.value.trim() || !this.providerRequiresApiKey()) {
+            await this.validateApiKey();
+        } else {
+            this.updateStatus('🌐 Back online');
+        }
+    }
+
+    /**
+     * Generate a batch of stories for the current selection to practice offline
+     */
+    async saveStoriesForOffline() {
+        if (!this.geminiAPI) {
+            this.updateStatus('❌ Please validate your API key first');
+            return;
+        }
+
+        const bankBtn = document.getElementById('bank-stories-btn');
+        const difficulty = document.getElementById('difficulty-level')?.value || DEFAULT_SETTINGS.difficulty;
+        const theme = document.getElementById('story-theme')?.value || DEFAULT_SETTINGS.theme;
+        const customTheme = document.getElementById('custom-theme-input')?.value || null;
+
+        try {
+            if (bankBtn) bankBtn.disabled = true;
+            const saved = await this.offlineManager.bankStories({
+                language: this.getStoryLanguage(),
+                level: difficulty,
+                themeKey: theme,
+                customTheme,
+                onProgress: (count, total) => {
+                    if (bankBtn) bankBtn.textContent = `⏳ Saving ${count}/${total}...`;
+                    this.updateStatus(`📥 Saved ${count} of ${total} stories for offline practice`);
+                }
+            });
+            this.updateStatus(`✅ ${saved} stories ready for offline practice`);
+        } catch (error) {
+            console.error('Story bank error:', error);
+            this.updateStatus(`❌ Failed to save stories: ${error.message}`);
+        } finally {
+            if (bankBtn) {
+                bankBtn.textContent = '📥 Save Stories for Offline';
+                bankBtn.disabled = false;
+            }
+            this.refreshStoryBank();
+        }
+    }
+
+    /**
+     * Refresh the saved story count for the current language, level and theme
+     */
+    refreshStoryBank() {
+        this.offlineManager.updateBankSummary(
+            this.getStoryLanguage(),
+            document.getElementById('difficulty-level')?.value || DEFAULT_SETTINGS.difficulty,
+            document.getElementById('story-theme')?.value || DEFAULT_SETTINGS.theme,
+            document.getElementById('custom-theme-input')?.value || null
+        );
+    }
+
+    /**
+     * Cancel the feedback request that is in progress
+     */
+    cancelFeedbackRequest() {
+        if (this.feedbackAbortController) {
+            this.feedbackAbortController.abort();
         }
     }
 
@@ -516,17 +1646,18 @@ class LanguageLearningApp {
             // Generate lesson based on sentence translations
             const lesson = await this.translationManager.generateSentenceMiniLesson(
                 userTranslations,
-                this.sourceLanguage, 
-                this.targetLanguage
+                this.getStoryLanguage(), 
+                this.getAnswerLanguage()
             );
 
             // Display lesson
-            this.translationManager.displayMiniLesson(lesson);
+            this.showMiniLesson(lesson);
+            await this.saveSessionProgress({ miniLesson: lesson, exerciseResults: null });
             this.updateStatus('✅ Mini lesson ready!');
 
         } catch (error) {
             console.error('Mini lesson error:', error);
-            this.updateStatus('❌ Failed to generate lesson');
+            this.updateStatus(`❌ Failed to generate lesson: ${error.userMessage || error.message}`);
         } finally {
             // Reset button state
             if (miniLessonBtn) {
@@ -536,6 +1667,522 @@ class LanguageLearningApp {
         }
     }
 
+    /**
+     * Gloss the current story's words for tap-to-gloss lookups (in the
+     * background), saving them with the session. Production stories are in
+     * the learner's own language, so they aren't glossed.
+     */
+    async prepareGlosses(saved = this.currentSession?.glosses) {
+        if (this.practiceMode === 'production') {
+            this.glossManager.disable('Word lookup is available for stories in the language you are learning');
+            return;
+        }
+
+        const session = this.currentSession;
+        try {
+            const glosses = await this.glossManager.prepare(this.currentSentences, this.getStoryLanguage(), this.getAnswerLanguage(), saved);
+            if (glosses && session && !session.glosses && this.currentSession?.id === session.id) {
+                await this.saveSessionProgress({ glosses });
+            }
+        } catch (error) {
+            console.warn('Could not gloss story words:', error);
+        }
+    }
+
+    /**
+     * Start a new stored practice session for the current story
+     */
+    async startSession(details) {
+        this.currentSession = null;
+        try {
+            this.currentSession = await this.historyManager.createSession({
+                sourceLanguage: this.sourceLanguage,
+                targetLanguage: this.targetLanguage,
+                mode: this.practiceMode,
+                ...details
+            });
+        } catch (error) {
+            console.warn('Could not save practice session:', error);
+        }
+    }
+
+    /**
+     * Persist changes to the current practice session
+     */
+    async saveSessionProgress(changes) {
+        if (!this.currentSession) return;
+
+        try {
+            this.currentSession = await this.historyManager.updateSession(this.currentSession.id, changes);
+        } catch (error) {
+            console.warn('Could not update practice session:', error);
+        }
+    }
+
+    /**
+     * Toggle the practice history panel
+     */
+    async toggleHistory() {
+        await this.historyManager.toggleHistoryPanel();
+    }
+
+    /**
+     * Recommend (or, with auto-adjust on, apply) a level change for the next
+     * story based on recent grades at the current level
+     */
+    async updateLevelRecommendation() {
+        const difficultySelect = document.getElementById('difficulty-level');
+        if (!difficultySelect) return;
+
+        let sessions;
+        try {
+            sessions = await this.historyManager.listSessions();
+        } catch (error) {
+            console.warn('Could not load sessions for level recommendation:', error);
+            return;
+        }
+
+        const languagePair = `${this.sourceLanguage}→${this.targetLanguage}`;
+        const currentLevel = difficultySelect.value;
+        // Production sessions grade the reverse direction, which is harder
+        const recommendation = recommendLevel(
+            currentLevel,
+            sessions.filter(session => session.languagePair === languagePair && (session.mode || 'translation') === 'translation')
+        );
+
+        if (recommendation.change === 0) {
+            this.showLevelRecommendation(null);
+            return;
+        }
+
+        if (this.autoAdjustLevel) {
+            difficultySelect.value = recommendation.level;
+            this.saveUserPreferences();
+            this.refreshStoryBank();
+            this.showLevelRecommendation(`${recommendation.change > 0 ? '⬆️' : '⬇️'} Level changed from ${currentLevel} to ${recommendation.level} for your next story, based on your recent grades.`);
+            return;
+        }
+
+        this.showLevelRecommendation(
+            `${recommendation.change > 0 ? '⬆️ Your recent grades are strong' : '⬇️ Recent stories seem tough'} - try ${recommendation.level} next?`,
+            recommendation.level
+        );
+    }
+
+    /**
+     * Show or hide the level recommendation note (with a switch button when level is given)
+     */
+    showLevelRecommendation(message, level = null) {
+        const note = document.getElementById('level-recommendation');
+        if (!note) return;
+
+        if (!message) {
+            note.style.display = 'none';
+            note.innerHTML = '';
+            return;
+        }
+
+        note.style.display = 'flex';
+        note.innerHTML = `
+            <span>${message}</span>
+            ${level ? `<button data-action="apply-level-recommendation" data-level="${level}">Switch to ${level}</button>` : ''}
+        `;
+    }
+
+    /**
+     * Switch to a recommended level
+     */
+    applyLevelRecommendation(level) {
+        const difficultySelect = document.getElementById('difficulty-level');
+        if (!difficultySelect) return;
+
+        difficultySelect.value = level;
+        this.saveUserPreferences();
+        this.refreshStoryBank();
+        this.showLevelRecommendation(null);
+        this.updateStatus(`📊 Level set to ${level}`);
+    }
+
+    /**
+     * Turn automatic level adjustment on or off
+     */
+    updateAutoAdjustLevel() {
+        const checkbox = document.getElementById('auto-adjust-level');
+        if (!checkbox) return;
+
+        this.autoAdjustLevel = checkbox.checked;
+        this.saveUserPreferences();
+    }
+
+    /**
+     * Start the placement test for the selected language pair
+     */
+    async startPlacementTest() {
+        if (!this.geminiAPI) {
+            this.updateStatus('❌ Please configure your API key first');
+            return;
+        }
+
+        this.showPlacementPrompt(false);
+        await this.placementManager.start(this.sourceLanguage, this.targetLanguage);
+    }
+
+    /**
+     * Load the next placement question (also used to retry after an error)
+     */
+    async loadPlacementItem() {
+        await this.placementManager.loadNextItem();
+    }
+
+    /**
+     * Grade the answer to the current placement question
+     */
+    async submitPlacementAnswer() {
+        try {
+            await this.placementManager.submitAnswer();
+        } catch (error) {
+            console.error('Placement grading error:', error);
+            this.updateStatus(`❌ ${error.userMessage || error.message}`);
+            const submitBtn = document.getElementById('placement-submit-btn');
+            if (submitBtn) {
+                submitBtn.textContent = 'Submit';
+                submitBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Move on to the next placement question or the result
+     */
+    async nextPlacementItem() {
+        await this.placementManager.next();
+    }
+
+    /**
+     * Use the level recommended by the placement test
+     */
+    applyPlacementResult() {
+        const level = this.placementManager.recommendedLevel;
+        if (!level) return;
+
+        this.placement = {
+            level,
+            languagePair: `${this.sourceLanguage}→${this.targetLanguage}`,
+            completedAt: new Date().toISOString()
+        };
+        this.placementManager.close();
+        this.applyLevelRecommendation(level);
+    }
+
+    /**
+     * Close the placement test without changing the level
+     */
+    closePlacementTest() {
+        this.placementManager.close();
+    }
+
+    /**
+     * Show or hide the placement test invitation for new users
+     */
+    showPlacementPrompt(visible) {
+        const prompt = document.getElementById('placement-prompt');
+        if (prompt) {
+            prompt.style.display = visible ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Hide the placement test invitation for good
+     */
+    dismissPlacementPrompt() {
+        this.placement = { dismissed: true };
+        this.showPlacementPrompt(false);
+        this.saveUserPreferences();
+    }
+
+    /**
+     * Toggle the token usage panel
+     */
+    async toggleUsage() {
+        await this.usageManager.toggleUsagePanel();
+    }
+
+    /**
+     * Delete the recorded token usage
+     */
+    async clearUsage() {
+        if (!confirm('Clear all recorded token usage?')) return;
+
+        try {
+            await this.usageManager.clearUsage();
+            this.updateStatus('🗑️ Usage history cleared');
+        } catch (error) {
+            console.error('Usage clear error:', error);
+            this.updateStatus('❌ Failed to clear usage history');
+        }
+    }
+
+    /**
+     * Toggle the progress dashboard
+     */
+    async toggleAnalytics() {
+        await this.analyticsManager.toggleDashboard();
+    }
+
+    /**
+     * Re-render the dashboard for the selected language pair and level
+     */
+    async updateAnalyticsFilters() {
+        await this.analyticsManager.updateFilters();
+    }
+
+    /**
+     * Reopen a past session with its translations, feedback and lesson
+     */
+    async openHistorySession(id) {
+        const session = await this.historyManager.getSession(id);
+        if (!session) {
+            this.updateStatus('❌ Session not found');
+            return;
+        }
+
+        this.currentSession = session;
+        this.showSession(session);
+        this.prepareGlosses(session.glosses);
+
+        if (this.practiceMode === 'dictation') {
+            const transcripts = (session.dictationResults?.sentences || []).map(item => item.transcript);
+            this.dictationManager.setTranscripts(transcripts);
+            if (session.dictationResults) {
+                this.dictationManager.displayResults(this.dictationManager.scoreTranscripts(transcripts));
+                this.renderStory(document.getElementById('story-output'));
+            }
+            this.updateStatus('📜 Reviewing a past session');
+            return;
+        }
+
+        if (this.practiceMode === 'speaking') {
+            this.speakingManager.setAttempts(session.speakingResults?.sentences);
+            if (session.pronunciationFeedback) {
+                this.speakingManager.displayPronunciationFeedback(session.pronunciationFeedback);
+            }
+            this.updateStatus('📜 Reviewing a past session');
+            return;
+        }
+
+        this.translationManager.setSentenceTranslations(session.userTranslations);
+
+        if (session.sentenceFeedback) {
+            const feedbackOutput = document.getElementById('feedback-output');
+            this.translationManager.displaySentenceFeedback(feedbackOutput, {
+                sentenceFeedback: session.sentenceFeedback,
+                overallFeedback: session.overallFeedback || '',
+                totalSentences: session.sentences.length,
+                translatedCount: session.translatedCount
+            });
+        }
+
+        if (session.miniLesson) {
+            this.showMiniLesson(session.miniLesson, session.exerciseResults);
+            this.translationManager.switchTab('feedback');
+        }
+
+        this.updateStatus('📜 Reviewing a past session');
+    }
+
+    /**
+     * Start a fresh attempt at a past session's story
+     */
+    async retryHistorySession(id) {
+        const session = await this.historyManager.getSession(id);
+        if (!session) {
+            this.updateStatus('❌ Session not found');
+            return;
+        }
+
+        this.showSession(session);
+        await this.startSession({
+            level: session.level,
+            theme: session.theme,
+            themeKey: session.themeKey,
+            variant: session.variant,
+            sentences: session.sentences
+        });
+        this.prepareGlosses(session.glosses);
+
+        this.updateStatus({
+            dictation: '🔁 Story reloaded! Listen and type it again to practice',
+            speaking: '🔁 Story reloaded! Read it aloud again to practice',
+            production: `🔁 Story reloaded! Write it in ${this.sourceLanguage} again to practice`
+        }[this.practiceMode] || '🔁 Story reloaded! Translate it again to practice');
+    }
+
+    /**
+     * Delete a past session
+     */
+    async deleteHistorySession(id) {
+        if (!confirm('Delete this practice session?')) return;
+
+        await this.historyManager.deleteSession(id);
+        if (this.currentSession?.id === id) {
+            this.currentSession = null;
+        }
+        await this.historyManager.renderHistoryList();
+    }
+
+    /**
+     * Download preferences, history, flashcards and custom themes as a file
+     */
+    async exportProfile() {
+        try {
+            const profile = await this.profileManager.exportProfile();
+            this.updateStatus(`💾 Exported ${profile.sessions.length} sessions and ${profile.flashcards.length} flashcards`);
+        } catch (error) {
+            console.error('Profile export error:', error);
+            this.updateStatus('❌ Failed to export your profile');
+        }
+    }
+
+    /**
+     * Ask for a profile file to import
+     */
+    importProfile() {
+        document.getElementById('profile-import-input')?.click();
+    }
+
+    /**
+     * Merge the chosen profile file and refresh everything it may have changed
+     */
+    async importProfileFile(input) {
+        const file = input.files?.[0];
+        input.value = '';
+        if (!file) return;
+
+        try {
+            this.updateStatus('📥 Importing profile...');
+            const summary = await this.profileManager.importProfile(file);
+
+            if (summary.preferencesUpdated) {
+                this.loadUserPreferences();
+                this.initializeThemeSelector();
+            }
+            this.renderCustomThemes();
+            this.refreshDeckSummary();
+            if (this.historyManager.isOpen) {
+                await this.historyManager.renderHistoryList();
+            }
+            if (this.analyticsManager.isOpen) {
+                await this.analyticsManager.renderDashboard();
+            }
+
+            this.updateStatus('✅ Profile imported');
+        } catch (error) {
+            console.error('Profile import error:', error);
+            this.updateStatus(`❌ Import failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a stored session's story and settings into the practice view
+     */
+    showSession(session) {
+        // Restore language and level selections
+        const sourceLang = document.getElementById('source-lang');
+        const targetLang = document.getElementById('target-lang');
+        const difficultySelect = document.getElementById('difficulty-level');
+        if (sourceLang) sourceLang.value = session.sourceLanguage;
+        if (targetLang) targetLang.value = session.targetLanguage;
+        if (difficultySelect && session.level) difficultySelect.value = session.level;
+        this.sourceLanguage = session.sourceLanguage;
+        this.targetLanguage = session.targetLanguage;
+        this.setPracticeMode(session.mode || 'translation');
+        this.refreshDeckSummary();
+
+        // Restore the story
+        this.currentSentences = session.sentences;
+        this.currentStory = session.sentences.join(' ');
+        this.speechManager.stop();
+
+        if (!this.translationManager) {
+            this.translationManager = new TranslationManager(this.geminiAPI);
+        }
+        this.showPracticeView();
+
+        if (this.chatManager) {
+            this.chatManager.updateContextWithStory(this.currentStory, this.getStoryLanguage(), this.getAnswerLanguage());
+        }
+
+        document.getElementById('story-section')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Save a mini lesson vocabulary item or mistake as a flashcard
+     */
+    async saveLessonCard(kind, index, button) {
+        const lesson = this.translationManager?.currentLesson;
+        const item = kind === 'mistake' ? lesson?.commonMistakes?.[index] : lesson?.vocabulary?.[index];
+        if (!item) return;
+
+        const card = kind === 'mistake'
+            ? { front: item.mistake, back: item.correction, example: item.example }
+            : { front: item.word, back: item.meaning, example: item.example };
+
+        try {
+            const saved = await this.flashcardManager.saveCard({
+                ...card,
+                kind,
+                sourceLanguage: this.sourceLanguage,
+                targetLanguage: this.targetLanguage
+            });
+
+            if (button) {
+                button.textContent = saved ? '✅ Saved' : '✅ Already in deck';
+                button.disabled = true;
+            }
+            this.updateStatus(saved ? '🗂️ Saved to your flashcard deck' : 'ℹ️ That card is already in your deck');
+            this.refreshDeckSummary();
+        } catch (error) {
+            console.error('Flashcard save error:', error);
+            this.updateStatus('❌ Failed to save flashcard');
+        }
+    }
+
+    /**
+     * Refresh the flashcard due count for the current language pair
+     */
+    refreshDeckSummary() {
+        this.flashcardManager.updateDeckSummary(this.sourceLanguage, this.targetLanguage);
+    }
+
+    /**
+     * Review the flashcards due today
+     */
+    async startReview() {
+        await this.flashcardManager.startReview(this.sourceLanguage, this.targetLanguage);
+    }
+
+    /**
+     * Reveal the current flashcard's answer
+     */
+    showReviewAnswer() {
+        this.flashcardManager.showAnswer();
+    }
+
+    /**
+     * Grade the current flashcard
+     */
+    async gradeReviewCard(gradeKey) {
+        await this.flashcardManager.gradeCard(gradeKey);
+    }
+
+    /**
+     * Close the flashcard review
+     */
+    closeReview() {
+        this.flashcardManager.closeReview();
+        this.refreshDeckSummary();
+    }
+
     /**
      * Toggle chat widget
      */
@@ -546,11 +2193,16 @@ class LanguageLearningApp {
     }
 
     /**
-     * Send chat message
+     * Send chat message (or stop the reply that is streaming)
      */
     async sendChatMessage() {
         if (!this.chatManager) return;
 
+        if (this.chatManager.isStreaming()) {
+            this.chatManager.cancelResponse();
+            return;
+        }
+
         const input = document.getElementById('chat-input');
         if (input) {
             await this.chatManager.sendMessage(input.value);
@@ -622,20 +2274,65 @@ class LanguageLearningApp {
     }
 
     /**
-     * Toggle exercise answer visibility
+     * Export the graded story or mini lesson shown in the open results tab
      */
-    toggleExerciseAnswer(exerciseIndex) {
-        const answerElement = document.getElementById(`exercise-answer-${exerciseIndex}`);
-        const buttonElement = document.querySelector(`[onclick="app.toggleExerciseAnswer(${exerciseIndex})"]`);
-        
-        if (answerElement && buttonElement) {
-            const isHidden = answerElement.style.display === 'none';
-            answerElement.style.display = isHidden ? 'block' : 'none';
-            buttonElement.textContent = isHidden ? 'Hide Answer' : 'Show Answer';
-            buttonElement.classList.toggle('answer-shown', isHidden);
+    exportResults(format) {
+        const content = document.getElementById('lesson-tab-content')?.classList.contains('active') ? 'lesson' : 'feedback';
+
+        try {
+            this.exportManager.exportSession(this.currentSession, content, format);
+            this.updateStatus({
+                markdown: '⬇️ Exported as Markdown',
+                print: '🖨️ Opened a print-ready page - choose "Save as PDF" to keep a copy',
+                anki: '🃏 Exported an Anki deck - import it with File > Import in Anki'
+            }[format]);
+        } catch (error) {
+            console.error('Export error:', error);
+            this.updateStatus(`❌ Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show a mini lesson and make its exercises interactive
+     */
+    showMiniLesson(lesson, exerciseResults = null) {
+        this.translationManager.displayMiniLesson(lesson);
+        if (typeof lesson === 'object' && lesson.title) {
+            this.exerciseManager.mount(lesson.exercises, exerciseResults, {
+                sourceLanguage: this.getStoryLanguage(),
+                targetLanguage: this.getAnswerLanguage()
+            });
         }
     }
 
+    /**
+     * Check a lesson exercise answer (optionIndex for multiple choice) and record the score
+     */
+    async checkExercise(index, optionIndex = null) {
+        try {
+            const result = await this.exerciseManager.checkAnswer(index, optionIndex);
+            if (!result) {
+                this.updateStatus('✏️ Answer the exercise first');
+                return;
+            }
+
+            const { correctCount, total } = this.exerciseManager.getResults();
+            this.updateStatus(result.correct ? `✅ Correct! ${correctCount} of ${total} exercises solved` : '❌ Not quite - try again');
+            await this.saveSessionProgress({ exerciseResults: this.exerciseManager.getResults() });
+        } catch (error) {
+            console.error('Exercise check error:', error);
+            this.updateStatus(`❌ Could not check your answer: ${error.userMessage || error.message}`);
+        }
+    }
+
+    /**
+     * Show a lesson exercise's answer and record it as unsolved
+     */
+    async revealExerciseAnswer(index) {
+        this.exerciseManager.revealAnswer(index);
+        await this.saveSessionProgress({ exerciseResults: this.exerciseManager.getResults() });
+    }
+
     /**
      * Toggle about menu dropdown
      */
@@ -699,7 +2396,12 @@ class LanguageLearningApp {
             sourceLanguage: this.sourceLanguage,
             targetLanguage: this.targetLanguage,
             difficultyLevel: document.getElementById('difficulty-level')?.value || DEFAULT_SETTINGS.difficulty,
-            theme: document.getElementById('story-theme')?.value || DEFAULT_SETTINGS.theme
+            theme: document.getElementById('story-theme')?.value || DEFAULT_SETTINGS.theme,
+            practiceMode: this.practiceMode,
+            autoAdjustLevel: this.autoAdjustLevel,
+            placement: this.placement,
+            speechRate: this.speechManager.rate,
+            updatedAt: Date.now()
         };
         
         localStorage.setItem('user_preferences', JSON.stringify(preferences));
@@ -711,7 +2413,11 @@ class LanguageLearningApp {
     loadUserPreferences() {
         try {
             const stored = localStorage.getItem('user_preferences');
-            if (!stored) return;
+            if (!stored) {
+                // New users are invited to take the placement test
+                this.showPlacementPrompt(true);
+                return;
+            }
             
             const preferences = JSON.parse(stored);
             
@@ -739,6 +2445,30 @@ class LanguageLearningApp {
                 storyTheme.value = preferences.theme;
             }
             
+            // Restore automatic level adjustment
+            if (typeof preferences.autoAdjustLevel === 'boolean') {
+                this.autoAdjustLevel = preferences.autoAdjustLevel;
+                const autoAdjust = document.getElementById('auto-adjust-level');
+                if (autoAdjust) autoAdjust.checked = this.autoAdjustLevel;
+            }
+            
+            // Restore placement test result
+            if (preferences.placement) {
+                this.placement = preferences.placement;
+            } else if (!preferences.difficultyLevel) {
+                this.showPlacementPrompt(true);
+            }
+            
+            // Restore practice mode
+            if (preferences.practiceMode) {
+                this.setPracticeMode(preferences.practiceMode);
+            }
+            
+            // Restore read-aloud speed
+            if (preferences.speechRate) {
+                this.speechManager.setRate(preferences.speechRate);
+            }
+            
         } catch (error) {
             console.warn('Could not load user preferences:', error);
         }
@@ -747,9 +2477,8 @@ class LanguageLearningApp {
 
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    window.app = new LanguageLearningApp();
-    window.app.initialize();
+    const app = new LanguageLearningApp();
+    app.initialize();
 });
 
-// Expose app globally for inline event handlers
 export { LanguageLearningApp };
\ No newline at end of file
@@ -0,0 +1,301 @@
+import { getAllRecords } from '../utils/db.js';
+import { errorCategories, gradePoints } from '../utils/constants.js';
+import { escapeHtml } from '../utils/sanitize.js';
+
+/**
+ * Learner Analytics Module
+ * Aggregates graded practice sessions stored in IndexedDB into a progress
+ * dashboard: grade distribution, grade trend, recurring errors and weak themes
+ */
+
+const GRADES = ['A', 'B', 'C', 'D', 'F'];
+
+/**
+ * Convert an average grade score (0-4) back to the nearest letter
+ */
+function scoreToGrade(score) {
+    return GRADES.find(grade => Math.round(score) >= gradePoints[grade]) || 'F';
+}
+
+/**
+ * Average grade score of a session's graded sentences
+ */
+function sessionScore(session) {
+    const total = session.sentenceFeedback.reduce((sum, item) => sum + (gradePoints[item.grade] ?? gradePoints.C), 0);
+    return total / session.sentenceFeedback.length;
+}
+
+export class AnalyticsManager {
+    constructor() {
+        this.isOpen = false;
+        this.filters = { languagePair: '', level: '' };
+    }
+
+    /**
+     * All sessions with graded sentences, oldest first
+     */
+    async getGradedSessions() {
+        const sessions = await getAllRecords('sessions', 'createdAt');
+        return sessions.filter(session => session.sentenceFeedback && session.sentenceFeedback.length > 0);
+    }
+
+    /**
+     * Aggregate grades, errors and themes for a list of graded sessions
+     */
+    computeStats(sessions) {
+        const gradeCounts = Object.fromEntries(GRADES.map(grade => [grade, 0]));
+        const errorTotals = {};
+        const themeTotals = {};
+        let sentenceCount = 0;
+        let scoreTotal = 0;
+
+        sessions.forEach(session => {
+            const categoriesInSession = new Set();
+
+            session.sentenceFeedback.forEach(item => {
+                const grade = GRADES.includes(item.grade) ? item.grade : 'C';
+                gradeCounts[grade]++;
+                sentenceCount++;
+                scoreTotal += gradePoints[grade];
+
+                (item.errors || []).forEach(error => {
+                    if (!errorCategories[error.category]) return;
+                    errorTotals[error.category] = errorTotals[error.category] || { count: 0, sessionCount: 0 };
+                    errorTotals[error.category].count++;
+                    categoriesInSession.add(error.category);
+                });
+            });
+
+            categoriesInSession.forEach(category => errorTotals[category].sessionCount++);
+
+            const theme = session.theme || 'Unknown';
+            themeTotals[theme] = themeTotals[theme] || { scoreTotal: 0, sessionCount: 0 };
+            themeTotals[theme].scoreTotal += sessionScore(session);
+            themeTotals[theme].sessionCount++;
+        });
+
+        const errors = Object.entries(errorTotals)
+            .map(([category, totals]) => ({ category, label: errorCategories[category], ...totals }))
+            .sort((a, b) => b.count - a.count);
+
+        const themes = Object.entries(themeTotals)
+            .map(([theme, totals]) => ({
+                theme,
+                averageScore: totals.scoreTotal / totals.sessionCount,
+                sessionCount: totals.sessionCount
+            }))
+            .sort((a, b) => a.averageScore - b.averageScore);
+
+        return {
+            sessionCount: sessions.length,
+            sentenceCount,
+            averageScore: sentenceCount > 0 ? scoreTotal / sentenceCount : 0,
+            gradeCounts,
+            trend: sessions.map(session => ({ createdAt: session.createdAt, score: sessionScore(session) })),
+            errors,
+            themes
+        };
+    }
+
+    /**
+     * Toggle the dashboard panel, refreshing it when it opens
+     */
+    async toggleDashboard() {
+        const panel = document.getElementById('analytics-dashboard');
+        const toggle = document.getElementById('analytics-toggle-btn');
+        if (!panel) return;
+
+        this.isOpen = !this.isOpen;
+        panel.style.display = this.isOpen ? 'block' : 'none';
+        if (toggle) {
+            toggle.textContent = this.isOpen ? 'Hide Dashboard' : 'Show Dashboard';
+        }
+
+        if (this.isOpen) {
+            await this.renderDashboard();
+        }
+    }
+
+    /**
+     * Read the pair/level filters from the UI and re-render
+     */
+    async updateFilters() {
+        this.filters.languagePair = document.getElementById('analytics-pair-filter')?.value || '';
+        this.filters.level = document.getElementById('analytics-level-filter')?.value || '';
+        await this.renderDashboard();
+    }
+
+    /**
+     * Render the dashboard for the current filters
+     */
+    async renderDashboard() {
+        const panel = document.getElementById('analytics-dashboard');
+        if (!panel) return;
+
+        let sessions;
+        try {
+            sessions = await this.getGradedSessions();
+        } catch (error) {
+            console.error('Could not load sessions for analytics:', error);
+            panel.innerHTML = '<p class="history-empty">Progress tracking is unavailable in this browser.</p>';
+            return;
+        }
+
+        if (sessions.length === 0) {
+            panel.innerHTML = '<p class="history-empty">No graded sessions yet. Get feedback on a story to start tracking your progress!</p>';
+            return;
+        }
+
+        const filtered = sessions.filter(session =>
+            (!this.filters.languagePair || session.languagePair === this.filters.languagePair) &&
+            (!this.filters.level || session.level === this.filters.level)
+        );
+        const stats = this.computeStats(filtered);
+
+        panel.innerHTML = `
+            ${this.renderFilters(sessions)}
+            ${filtered.length === 0 ? '<p class="history-empty">No graded sessions match these filters.</p>' : `
+                <div class="analytics-summary">
+                    <div class="analytics-stat"><span class="analytics-stat-value">${stats.sessionCount}</span>sessions</div>
+                    <div class="analytics-stat"><span class="analytics-stat-value">${stats.sentenceCount}</span>sentences graded</div>
+                    <div class="analytics-stat"><span class="analytics-stat-value">${scoreToGrade(stats.averageScore)}</span>average grade (${stats.averageScore.toFixed(1)} / 4)</div>
+                </div>
+                <div class="analytics-card">
+                    <h4>📊 Grade Distribution</h4>
+                    ${this.renderGradeDistribution(stats.gradeCounts, stats.sentenceCount)}
+                </div>
+                <div class="analytics-card">
+                    <h4>📈 Grade Trend</h4>
+                    ${this.renderTrendChart(stats.trend)}
+                </div>
+                <div class="analytics-card">
+                    <h4>🔁 Recurring Errors</h4>
+                    ${this.renderErrorList(stats.errors, stats.sessionCount)}
+                </div>
+                <div class="analytics-card">
+                    <h4>🎯 Themes to Work On</h4>
+                    ${this.renderWorstThemes(stats.themes)}
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Language pair and level filter selects, built from the stored sessions
+     */
+    renderFilters(sessions) {
+        const pairs = [...new Set(sessions.map(session => session.languagePair))].sort();
+        const levels = [...new Set(sessions.map(session => session.level))].sort();
+
+        const options = (values, selected) => values
+            .map(value => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(value)}</option>`)
+            .join('');
+
+        return `
+            <div class="analytics-filters">
+                <select id="analytics-pair-filter" data-change="update-analytics-filters">
+                    <option value="">All language pairs</option>
+                    ${options(pairs, this.filters.languagePair)}
+                </select>
+                <select id="analytics-level-filter" data-change="update-analytics-filters">
+                    <option value="">All levels</option>
+                    ${options(levels, this.filters.level)}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Horizontal bar per grade
+     */
+    renderGradeDistribution(gradeCounts, total) {
+        return GRADES.map(grade => {
+            const percent = total > 0 ? Math.round((gradeCounts[grade] / total) * 100) : 0;
+            return `
+                <div class="grade-bar-row">
+                    <span class="grade grade-${grade.toLowerCase()}">${grade}</span>
+                    <div class="grade-bar-track">
+                        <div class="grade-bar grade-bar-${grade.toLowerCase()}" style="width: ${percent}%;"></div>
+                    </div>
+                    <span class="grade-bar-count">${gradeCounts[grade]} (${percent}%)</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * SVG line chart of each session's average grade over time
+     */
+    renderTrendChart(trend) {
+        if (trend.length < 2) {
+            return '<p class="history-empty">Grade a few more sessions to see a trend.</p>';
+        }
+
+        const width = 600;
+        const height = 200;
+        const padding = { top: 15, right: 15, bottom: 25, left: 30 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const x = (index) => padding.left + (index / (trend.length - 1)) * plotWidth;
+        const y = (score) => padding.top + (1 - score / gradePoints.A) * plotHeight;
+
+        const gridLines = GRADES.map(grade => `
+            <line class="trend-grid" x1="${padding.left}" y1="${y(gradePoints[grade])}" x2="${width - padding.right}" y2="${y(gradePoints[grade])}" />
+            <text class="trend-label" x="${padding.left - 10}" y="${y(gradePoints[grade]) + 4}" text-anchor="end">${grade}</text>
+        `).join('');
+
+        const points = trend.map((point, index) => `${x(index).toFixed(1)},${y(point.score).toFixed(1)}`).join(' ');
+        const dots = trend.map((point, index) => `
+            <circle class="trend-point" cx="${x(index).toFixed(1)}" cy="${y(point.score).toFixed(1)}" r="4">
+                <title>${new Date(point.createdAt).toLocaleDateString()}: ${point.score.toFixed(1)} (${scoreToGrade(point.score)})</title>
+            </circle>
+        `).join('');
+
+        const firstDate = new Date(trend[0].createdAt).toLocaleDateString();
+        const lastDate = new Date(trend[trend.length - 1].createdAt).toLocaleDateString();
+
+        return `
+            <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Average grade per session over time">
+                ${gridLines}
+                <polyline class="trend-line" points="${points}" />
+                ${dots}
+                <text class="trend-label" x="${padding.left}" y="${height - 5}">${firstDate}</text>
+                <text class="trend-label" x="${width - padding.right}" y="${height - 5}" text-anchor="end">${lastDate}</text>
+            </svg>
+        `;
+    }
+
+    /**
+     * Error categories, most frequent first
+     */
+    renderErrorList(errors, sessionCount) {
+        if (errors.length === 0) {
+            return '<p class="history-empty">No tagged errors yet.</p>';
+        }
+
+        return `<ul class="analytics-list">${errors.map(error => `
+            <li>
+                <span class="error-category error-${error.category}">${error.label}</span>
+                ${error.count} error${error.count === 1 ? '' : 's'} in ${error.sessionCount} of ${sessionCount} sessions
+                ${error.sessionCount > 1 ? '<span class="analytics-recurring">recurring</span>' : ''}
+            </li>
+        `).join('')}</ul>`;
+    }
+
+    /**
+     * The three themes with the lowest average grade
+     */
+    renderWorstThemes(themes) {
+        if (themes.length < 2) {
+            return '<p class="history-empty">Practice a few different themes to compare them.</p>';
+        }
+
+        return `<ul class="analytics-list">${themes.slice(0, 3).map(theme => `
+            <li>
+                <strong>${escapeHtml(theme.theme.length > 50 ? `${theme.theme.slice(0, 50)}…` : theme.theme)}</strong>
+                - average ${scoreToGrade(theme.averageScore)} (${theme.averageScore.toFixed(1)} / 4) over ${theme.sessionCount} session${theme.sessionCount === 1 ? '' : 's'}
+            </li>
+        `).join('')}</ul>`;
+    }
+}
\ No newline at end of file
@@ -1,14 +1,30 @@
+import { CHAT_MEMORY } from '../utils/constants.js';
+import { renderMarkdown } from '../utils/sanitize.js';
+
 /**
  * Chat Features Module  
  * Handles the floating chat widget and AI assistant conversations
  */
 
+/**
+ * Rough token estimate for budgeting request history
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
 export class ChatManager {
     constructor(geminiAPI) {
         this.geminiAPI = geminiAPI;
         this.chatHistory = [];
         this.isOpen = false;
         this.context = null;
+        this.abortController = null;
+
+        // Older exchanges folded into a running summary
+        this.conversationSummary = null;
+        this.summarizedCount = 0;
+        this.isSummarizing = false;
     }
 
     /**
@@ -48,12 +64,14 @@ export class ChatManager {
     }
 
     /**
-     * Send a message in the chat
+     * Send a message in the chat, streaming the reply as it arrives
      */
     async sendMessage(message) {
-        if (!message || message.trim().length === 0) return;
+        if (!message || message.trim().length === 0 || this.isStreaming()) return;
 
         const trimmedMessage = message.trim();
+        let messageElement = null;
+        let partialResponse = '';
         
         try {
             // Add user message to chat
@@ -69,23 +87,156 @@ export class ChatManager {
             // Update context with current state before sending to AI
             this.updateContextFromCurrentState();
 
-            // Get AI response with current context
-            const response = await this.geminiAPI.chat(trimmedMessage, this.formatContextForAI());
+            this.abortController = new AbortController();
+            this.setStreamingState(true);
+
+            // Get AI response with current context and conversation memory, rendering tokens as they arrive
+            const response = await this.geminiAPI.chat(trimmedMessage, this.formatContextForAI(), {
+                history: this.buildRequestHistory(),
+                summary: this.conversationSummary,
+                signal: this.abortController.signal,
+                onText: (delta, text) => {
+                    partialResponse = text;
+                    if (!messageElement) {
+                        this.hideTypingIndicator();
+                        messageElement = this.addMessageToChat(text, 'bot');
+                    } else {
+                        this.renderMessageContent(messageElement, text, 'bot');
+                        this.scrollToBottom();
+                    }
+                }
+            });
             
-            // Remove typing indicator and add AI response
+            // Remove typing indicator and render the final AI response
             this.hideTypingIndicator();
-            this.addMessageToChat(response, 'bot');
+            if (messageElement) {
+                this.renderMessageContent(messageElement, response, 'bot');
+            } else {
+                this.addMessageToChat(response, 'bot');
+            }
             
             // Store in history
             this.chatHistory.push(
                 { role: 'user', message: trimmedMessage },
                 { role: 'bot', message: response }
             );
+            this.summarizeOlderTurns();
 
         } catch (error) {
             this.hideTypingIndicator();
-            this.addMessageToChat('Sorry, I encountered an error. Please try again.', 'bot');
-            console.error('Chat error:', error);
+
+            if (error.name === 'AbortError') {
+                // Keep whatever arrived before the user stopped the reply
+                if (partialResponse) {
+                    const stoppedResponse = `${partialResponse}\n\n_(stopped)_`;
+                    this.renderMessageContent(messageElement, stoppedResponse, 'bot');
+                    this.chatHistory.push(
+                        { role: 'user', message: trimmedMessage },
+                        { role: 'bot', message: partialResponse }
+                    );
+                } else {
+                    this.addMessageToChat('_Response cancelled._', 'bot');
+                }
+            } else {
+                this.addMessageToChat(`Sorry, I encountered an error. ${error.userMessage || 'Please try again.'}`, 'bot');
+                console.error('Chat error:', error);
+            }
+        } finally {
+            this.abortController = null;
+            this.setStreamingState(false);
+        }
+    }
+
+    /**
+     * Build the earlier turns to send with the next message: unsummarized
+     * exchanges, newest first, until the token budget is used up
+     */
+    buildRequestHistory() {
+        const recent = this.chatHistory.slice(this.summarizedCount);
+        const history = [];
+        let tokens = 0;
+
+        // Walk back one user/bot exchange at a time so roles keep alternating
+        for (let i = recent.length - 2; i >= 0; i -= 2) {
+            const exchange = recent.slice(i, i + 2);
+            const exchangeTokens = exchange.reduce((sum, turn) => sum + estimateTokens(turn.message), 0);
+            if (tokens + exchangeTokens > CHAT_MEMORY.maxHistoryTokens) break;
+
+            tokens += exchangeTokens;
+            history.unshift(...exchange.map(turn => ({
+                role: turn.role === 'bot' ? 'model' : 'user',
+                text: turn.message
+            })));
+        }
+
+        return history;
+    }
+
+    /**
+     * Fold older exchanges into the conversation summary once the chat grows long
+     */
+    async summarizeOlderTurns() {
+        if (this.isSummarizing) return;
+
+        const unsummarized = this.chatHistory.slice(this.summarizedCount);
+        const exchangeCount = unsummarized.length / 2;
+        const unsummarizedTokens = unsummarized.reduce((sum, turn) => sum + estimateTokens(turn.message), 0);
+
+        if (exchangeCount <= CHAT_MEMORY.summarizeAfterExchanges &&
+            unsummarizedTokens <= CHAT_MEMORY.maxHistoryTokens) {
+            return;
+        }
+
+        const foldCount = Math.max(0, unsummarized.length - CHAT_MEMORY.keepRecentExchanges * 2);
+        if (foldCount === 0) return;
+
+        const turnsToFold = unsummarized.slice(0, foldCount).map(turn => ({
+            role: turn.role === 'bot' ? 'model' : 'user',
+            text: turn.message
+        }));
+
+        this.isSummarizing = true;
+        const historyAtStart = this.chatHistory;
+        try {
+            const summary = await this.geminiAPI.summarizeConversation(turnsToFold, this.conversationSummary);
+
+            // Ignore the result if the chat was cleared meanwhile
+            if (this.chatHistory === historyAtStart) {
+                this.conversationSummary = summary;
+                this.summarizedCount += foldCount;
+            }
+        } catch (error) {
+            // Keep sending the raw (budget-trimmed) history if summarizing fails
+            console.warn('Chat summary failed:', error);
+        } finally {
+            this.isSummarizing = false;
+        }
+    }
+
+    /**
+     * Whether a reply is currently streaming
+     */
+    isStreaming() {
+        return this.abortController !== null;
+    }
+
+    /**
+     * Stop the reply that is currently streaming
+     */
+    cancelResponse() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Toggle the send button between Send and Stop while a reply streams
+     */
+    setStreamingState(isStreaming) {
+        const sendBtn = document.getElementById('chat-send-btn');
+        if (sendBtn) {
+            sendBtn.textContent = isStreaming ? 'Stop' : 'Send';
+            sendBtn.classList.toggle('streaming', isStreaming);
         }
     }
 
@@ -98,20 +249,26 @@ export class ChatManager {
 
         const messageElement = document.createElement('div');
         messageElement.classList.add('chat-message', `${sender}-message`);
-        
-        if (sender === 'bot') {
-            // Render markdown for bot messages
-            messageElement.innerHTML = (typeof marked !== 'undefined' && marked.parse) 
-                ? marked.parse(message) 
-                : message;
-        } else {
-            messageElement.textContent = message;
-        }
+        this.renderMessageContent(messageElement, message, sender);
         
         messagesContainer.appendChild(messageElement);
         
         // Auto-scroll to the new message
         this.scrollToBottom();
+
+        return messageElement;
+    }
+
+    /**
+     * Render message text into a chat message element
+     */
+    renderMessageContent(messageElement, message, sender) {
+        if (sender === 'bot') {
+            // Render sanitized markdown for bot messages
+            messageElement.innerHTML = renderMarkdown(message);
+        } else {
+            messageElement.textContent = message;
+        }
     }
 
     /**
@@ -174,7 +331,10 @@ export class ChatManager {
      * Clear chat history and display
      */
     clearChat() {
+        this.cancelResponse();
         this.chatHistory = [];
+        this.conversationSummary = null;
+        this.summarizedCount = 0;
         const messagesContainer = document.getElementById('chat-messages');
         if (messagesContainer) {
             messagesContainer.innerHTML = '';
@@ -231,11 +391,11 @@ export class ChatManager {
             // Extract sentences from the interface
             const sentencePairs = Array.from(sentenceContainer.children);
             sentencePairs.forEach((pair, index) => {
-                const originalDiv = pair.querySelector('.sentence-original');
+                const originalDiv = pair.querySelector('.sentence-text');
                 const translationInput = pair.querySelector('.sentence-translation-input');
                 
                 if (originalDiv && translationInput) {
-                    const originalText = originalDiv.textContent.replace(/^Sentence \d+:\s*/, '').trim();
+                    const originalText = originalDiv.textContent.trim();
                     const userTranslation = translationInput.value.trim();
                     
                     context.sentences.push(originalText);
@@ -252,20 +412,16 @@ export class ChatManager {
 
         // Get current feedback if available
         const feedbackOutput = document.getElementById('feedback-output');
-        if (feedbackOutput && feedbackOutput.innerHTML.trim()) {
-            // Extract text content without HTML
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = feedbackOutput.innerHTML;
-            context.feedback = tempDiv.textContent.trim();
+        if (feedbackOutput && feedbackOutput.textContent.trim()) {
+            // Text content only, without re-parsing the HTML
+            context.feedback = feedbackOutput.textContent.trim();
         }
 
         // Get current mini lesson if available
         const lessonOutput = document.getElementById('lesson-output');
-        if (lessonOutput && lessonOutput.innerHTML.trim()) {
-            // Extract text content without HTML
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = lessonOutput.innerHTML;
-            context.miniLesson = tempDiv.textContent.trim();
+        if (lessonOutput && lessonOutput.textContent.trim()) {
+            // Text content only, without re-parsing the HTML
+            context.miniLesson = lessonOutput.textContent.trim();
         }
 
         this.context = context;
@@ -0,0 +1,216 @@
+import { scoreTranscription } from '../utils/diff.js';
+import { renderWordDiff } from '../utils/text.js';
+
+/**
+ * Dictation Features Module
+ * Reads hidden sentences aloud and scores what the learner types
+ * with a word- and character-level diff against the original
+ */
+
+export class DictationManager {
+    constructor(speechManager) {
+        this.speechManager = speechManager;
+        this.currentSentences = [];
+    }
+
+    /**
+     * Set the sentences to dictate
+     */
+    setCurrentSentences(sentences) {
+        this.currentSentences = sentences;
+    }
+
+    /**
+     * Show the dictation section with a fresh set of inputs
+     */
+    showDictationSection() {
+        const section = document.getElementById('dictation-section');
+        if (!section) return;
+
+        section.style.display = 'block';
+        this.generateDictationInterface(this.currentSentences);
+
+        const summary = document.getElementById('dictation-summary');
+        if (summary) {
+            summary.innerHTML = '';
+            summary.classList.remove('has-content');
+        }
+    }
+
+    /**
+     * Hide the dictation section
+     */
+    hideDictationSection() {
+        const section = document.getElementById('dictation-section');
+        if (section) {
+            section.style.display = 'none';
+        }
+    }
+
+    /**
+     * Generate one listen-and-type box per sentence (the text itself stays hidden)
+     */
+    generateDictationInterface(sentences) {
+        const container = document.getElementById('dictation-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        sentences.forEach((sentence, index) => {
+            const item = document.createElement('div');
+            item.className = 'sentence-pair dictation-item';
+
+            item.innerHTML = `
+                <div class="dictation-prompt">
+                    <span class="sentence-number">Sentence ${index + 1}:</span>
+                    <button class="play-dictation-btn" data-action="play-dictation-sentence" data-index="${index}" data-stop-label="⏹️ Stop">🔊 Listen</button>
+                </div>
+                <textarea
+                    id="dictation-input-${index}"
+                    class="sentence-translation-input"
+                    placeholder="Type what you hear..."
+                    rows="2"
+                ></textarea>
+                <div class="dictation-result" id="dictation-result-${index}" style="display: none;"></div>
+            `;
+
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Read a sentence aloud (or stop if it is already playing)
+     */
+    async playSentence(index, language, button) {
+        const sentence = this.currentSentences[index];
+        if (!sentence) return;
+
+        if (this.speechManager.isSpeaking() && this.speechManager.activeButton === button) {
+            this.speechManager.stop();
+            return;
+        }
+
+        await this.speechManager.speak(sentence, language, { button });
+    }
+
+    /**
+     * Collect the typed transcripts from the UI
+     */
+    collectTranscripts() {
+        return this.currentSentences.map((_, index) => {
+            const input = document.getElementById(`dictation-input-${index}`);
+            return input ? input.value.trim() : '';
+        });
+    }
+
+    /**
+     * Fill the inputs with stored transcripts
+     */
+    setTranscripts(transcripts = []) {
+        transcripts.forEach((transcript, index) => {
+            const input = document.getElementById(`dictation-input-${index}`);
+            if (input) input.value = transcript || '';
+        });
+    }
+
+    /**
+     * Score every typed transcript against its sentence.
+     * Sentences left blank are skipped rather than counted as zero.
+     */
+    scoreTranscripts(transcripts) {
+        const sentences = this.currentSentences.map((sentence, index) => {
+            const transcript = transcripts[index] || '';
+            if (!transcript) {
+                return { transcript, attempted: false };
+            }
+
+            const score = scoreTranscription(sentence, transcript);
+            return {
+                transcript,
+                attempted: true,
+                characterAccuracy: score.characterAccuracy,
+                wordAccuracy: score.wordAccuracy,
+                correctWords: score.correctWords,
+                totalWords: score.totalWords,
+                words: score.words
+            };
+        });
+
+        const attempted = sentences.filter(item => item.attempted);
+        if (attempted.length === 0) {
+            throw new Error('Please type at least one sentence first');
+        }
+
+        const average = (key) => attempted.reduce((sum, item) => sum + item[key], 0) / attempted.length;
+
+        return {
+            sentences,
+            attemptedCount: attempted.length,
+            characterAccuracy: average('characterAccuracy'),
+            wordAccuracy: average('wordAccuracy')
+        };
+    }
+
+    /**
+     * Show each sentence's diff and the overall scores
+     */
+    displayResults(result) {
+        result.sentences.forEach((item, index) => {
+            const resultElement = document.getElementById(`dictation-result-${index}`);
+            if (!resultElement) return;
+
+            resultElement.style.display = 'block';
+            resultElement.innerHTML = '';
+
+            if (item.attempted) {
+                const scores = document.createElement('div');
+                scores.className = 'dictation-scores';
+                scores.textContent = `Words: ${this.formatPercent(item.wordAccuracy)} (${item.correctWords}/${item.totalWords}) · Characters: ${this.formatPercent(item.characterAccuracy)}`;
+                resultElement.appendChild(scores);
+
+                const diff = document.createElement('div');
+                diff.className = 'dictation-diff';
+                renderWordDiff(diff, item.words);
+                resultElement.appendChild(diff);
+            }
+
+            const original = document.createElement('div');
+            original.className = 'dictation-original';
+            original.innerHTML = '<strong>Original:</strong> ';
+            original.appendChild(document.createTextNode(this.currentSentences[index]));
+            resultElement.appendChild(original);
+        });
+
+        const summary = document.getElementById('dictation-summary');
+        if (summary) {
+            summary.classList.add('has-content');
+            summary.innerHTML = `
+                <h4>🎧 Dictation Results</h4>
+                <p><strong>Word accuracy:</strong> ${this.formatPercent(result.wordAccuracy)}</p>
+                <p><strong>Character accuracy:</strong> ${this.formatPercent(result.characterAccuracy)}</p>
+                <p>${result.attemptedCount} of ${result.sentences.length} sentences transcribed</p>
+            `;
+        }
+    }
+
+    /**
+     * Strip display-only data before storing results with a session
+     */
+    toSessionRecord(result) {
+        return {
+            sentences: result.sentences.map(({ transcript, attempted, characterAccuracy, wordAccuracy }) => ({
+                transcript, attempted, characterAccuracy, wordAccuracy
+            })),
+            attemptedCount: result.attemptedCount,
+            characterAccuracy: result.characterAccuracy,
+            wordAccuracy: result.wordAccuracy
+        };
+    }
+
+    /**
+     * Format a 0-1 score as a percentage
+     */
+    formatPercent(value) {
+        return `${Math.round((value || 0) * 100)}%`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,345 @@
+import { normalizeAnswer } from '../utils/diff.js';
+import { tokenizeWords } from '../utils/text.js';
+import { escapeHtml } from '../utils/sanitize.js';
+
+/**
+ * Lesson Exercises Module
+ * Turns mini lesson exercises into interactive widgets and checks the answers:
+ * text inputs for fill-in-blank and conjugation, option buttons for
+ * multiple-choice, reorderable word tiles for word-order and a free-form box
+ * for translation. Answers are compared ignoring case, punctuation and
+ * accents; translations that don't match the model answer are graded by the AI.
+ */
+
+/**
+ * Whether an answer matches the expected one; "a / b" answers accept either part
+ */
+function answersMatch(answer, expected) {
+    const normalized = normalizeAnswer(answer);
+    const alternatives = [expected, ...String(expected).split('/')];
+    return alternatives.some(alternative => normalizeAnswer(alternative) === normalized && normalized !== '');
+}
+
+/**
+ * Word tiles for a word-order answer (word segments for unspaced scripts)
+ */
+export function splitTiles(sentence) {
+    const words = String(sentence).trim().split(/\s+/).filter(Boolean);
+    if (words.length > 1) return { words, separator: ' ' };
+    return { words: tokenizeWords(sentence).map(token => token.word), separator: '' };
+}
+
+/**
+ * Shuffled tile order that isn't already the correct one (when possible)
+ */
+function shuffledOrder(count) {
+    const order = [...Array(count).keys()];
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    if (count > 1 && order.every((tile, index) => tile === index)) {
+        order.push(order.shift());
+    }
+    return order;
+}
+
+export class ExerciseManager {
+    constructor(geminiAPI) {
+        this.geminiAPI = geminiAPI;
+        this.exercises = [];
+        this.results = [];
+        this.tiles = [];
+        this.selectedTile = null;
+        this.draggedTile = null;
+        this.languages = { sourceLanguage: null, targetLanguage: null };
+    }
+
+    /**
+     * Widget type for an exercise (multiple-choice without options falls back to typing)
+     */
+    getWidgetType(exercise) {
+        if (exercise.type === 'multiple-choice' && this.getOptions(exercise).length > 1) return 'choice';
+        if (exercise.type === 'word-order' && splitTiles(exercise.answer).words.length > 1) return 'tiles';
+        if (exercise.type === 'translation') return 'free';
+        return 'text';
+    }
+
+    /**
+     * Multiple-choice options, making sure the answer is among them
+     */
+    getOptions(exercise) {
+        const options = Array.isArray(exercise.options) ? exercise.options.filter(option => typeof option === 'string' && option.trim()) : [];
+        if (options.length > 0 && !options.some(option => answersMatch(option, exercise.answer))) {
+            options.push(exercise.answer);
+        }
+        return options;
+    }
+
+    /**
+     * Render widgets for a lesson's exercises into the placeholders left by
+     * TranslationManager, restoring saved results
+     */
+    mount(exercises, savedResults = null, languages = {}) {
+        this.exercises = Array.isArray(exercises) ? exercises : [];
+        this.results = this.exercises.map((exercise, index) => savedResults?.answers?.[index] || null);
+        this.languages = { ...this.languages, ...languages };
+        this.selectedTile = null;
+        this.draggedTile = null;
+        this.tiles = this.exercises.map(exercise => {
+            if (this.getWidgetType(exercise) !== 'tiles') return null;
+            const { words, separator } = splitTiles(exercise.answer);
+            return { words, separator, order: shuffledOrder(words.length) };
+        });
+
+        this.exercises.forEach((exercise, index) => this.renderWidget(index));
+        this.renderScore();
+    }
+
+    /**
+     * Whether an exercise can no longer be answered
+     */
+    isLocked(index) {
+        const result = this.results[index];
+        return Boolean(result && (result.correct || result.revealed));
+    }
+
+    /**
+     * Render one exercise's input, buttons, verdict and answer
+     */
+    renderWidget(index) {
+        const container = document.getElementById(`exercise-widget-${index}`);
+        const exercise = this.exercises[index];
+        if (!container || !exercise) return;
+
+        const result = this.results[index];
+        const locked = this.isLocked(index);
+        const widgetType = this.getWidgetType(exercise);
+        const disabled = locked ? 'disabled' : '';
+
+        let inputHtml;
+        if (widgetType === 'choice') {
+            inputHtml = `
+                <div class="exercise-choices">
+                    ${this.getOptions(exercise).map((option, optionIndex) => {
+                        const chosen = result && normalizeAnswer(result.answer) === normalizeAnswer(option);
+                        const state = chosen ? (result.correct ? 'correct' : 'incorrect') : '';
+                        return `<button class="exercise-choice ${state}" data-action="choose-exercise-option" data-index="${index}" data-option="${optionIndex}" ${disabled}>${escapeHtml(option)}</button>`;
+                    }).join('')}
+                </div>
+            `;
+        } else if (widgetType === 'tiles') {
+            const { words, order } = this.tiles[index];
+            const tilesHtml = order.map((tile, position) => {
+                const selected = this.selectedTile?.index === index && this.selectedTile.position === position;
+                return `<button class="word-tile ${selected ? 'selected' : ''}" data-action="select-word-tile" data-index="${index}" data-position="${position}" draggable="${!locked}" ${disabled}>${escapeHtml(words[tile])}</button>`;
+            }).join('');
+            inputHtml = `
+                <div class="word-tiles">${tilesHtml}</div>
+                <div class="word-tiles-hint">Drag the words into order, or tap two words to swap them.</div>
+            `;
+        } else if (widgetType === 'free') {
+            inputHtml = `<textarea class="exercise-input" id="exercise-input-${index}" rows="2" placeholder="Write your answer..." ${disabled}>${escapeHtml(result?.answer || '')}</textarea>`;
+        } else {
+            inputHtml = `<input type="text" class="exercise-input" id="exercise-input-${index}" placeholder="Your answer" value="${escapeHtml(result?.answer || '')}" ${disabled}>`;
+        }
+
+        const checkButton = widgetType === 'choice' ? '' : `<button class="check-exercise-btn" data-action="check-exercise" data-index="${index}" ${disabled}>Check</button>`;
+
+        let verdictHtml = '';
+        if (result?.revealed && !result.correct) {
+            verdictHtml = '<div class="exercise-verdict revealed">👀 Answer shown</div>';
+        } else if (result) {
+            verdictHtml = `<div class="exercise-verdict ${result.correct ? 'correct' : 'incorrect'}">${result.correct ? '✅ Correct!' : '❌ Not quite - try again or show the answer'}</div>`;
+        }
+        if (result?.feedback) {
+            verdictHtml += `<div class="exercise-feedback">${escapeHtml(result.feedback)}</div>`;
+        }
+
+        container.innerHTML = `
+            ${inputHtml}
+            <div class="exercise-actions">
+                ${checkButton}
+                <button class="show-answer-btn ${locked ? 'answer-shown' : ''}" data-action="reveal-exercise-answer" data-index="${index}" ${disabled}>Show Answer</button>
+            </div>
+            ${verdictHtml}
+            <div class="exercise-answer" ${locked ? '' : 'hidden'}>
+                <div class="answer-text"><strong>Answer:</strong> ${escapeHtml(exercise.answer)}</div>
+                <div class="answer-explanation"><strong>Explanation:</strong> ${escapeHtml(exercise.explanation)}</div>
+            </div>
+        `;
+
+        if (widgetType === 'tiles' && !locked) {
+            this.bindTileDragging(container.querySelector('.word-tiles'), index);
+        }
+    }
+
+    /**
+     * Let word tiles be dragged to a new position
+     */
+    bindTileDragging(tileRow, index) {
+        if (!tileRow) return;
+
+        tileRow.addEventListener('dragstart', (event) => {
+            const tile = event.target.closest('.word-tile');
+            if (!tile) return;
+            this.draggedTile = { index, position: Number(tile.dataset.position) };
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', tile.textContent);
+        });
+        tileRow.addEventListener('dragend', () => {
+            this.draggedTile = null;
+        });
+        tileRow.addEventListener('dragover', (event) => {
+            // Only tiles from this exercise can be dropped here
+            if (this.draggedTile?.index !== index) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        });
+        tileRow.addEventListener('drop', (event) => {
+            const dragged = this.draggedTile;
+            this.draggedTile = null;
+            if (dragged?.index !== index) return;
+            event.preventDefault();
+            const target = event.target.closest('.word-tile');
+            const to = target ? Number(target.dataset.position) : this.tiles[index].order.length - 1;
+            this.moveTile(index, dragged.position, to);
+        });
+    }
+
+    /**
+     * Move a word tile from one position to another
+     */
+    moveTile(index, from, to) {
+        const order = this.tiles[index]?.order;
+        if (!order || Number.isNaN(from) || from === to) return;
+
+        const [tile] = order.splice(from, 1);
+        order.splice(to, 0, tile);
+        this.selectedTile = null;
+        this.renderWidget(index);
+    }
+
+    /**
+     * Tap-to-swap for word tiles: the first tap selects, the second swaps
+     */
+    selectTile(index, position) {
+        if (this.isLocked(index)) return;
+
+        const selected = this.selectedTile;
+        if (selected && selected.index === index && selected.position !== position) {
+            const order = this.tiles[index].order;
+            [order[selected.position], order[position]] = [order[position], order[selected.position]];
+            this.selectedTile = null;
+        } else if (selected && selected.index === index) {
+            this.selectedTile = null;
+        } else {
+            const previous = selected?.index;
+            this.selectedTile = { index, position };
+            if (previous !== undefined && previous !== index) this.renderWidget(previous);
+        }
+        this.renderWidget(index);
+    }
+
+    /**
+     * The learner's current answer to an exercise
+     */
+    readAnswer(index, optionIndex = null) {
+        const exercise = this.exercises[index];
+        const widgetType = this.getWidgetType(exercise);
+
+        if (widgetType === 'choice') {
+            return this.getOptions(exercise)[optionIndex] ?? '';
+        }
+        if (widgetType === 'tiles') {
+            const { words, separator, order } = this.tiles[index];
+            return order.map(tile => words[tile]).join(separator);
+        }
+        return document.getElementById(`exercise-input-${index}`)?.value.trim() || '';
+    }
+
+    /**
+     * Check an exercise answer; returns the stored result, or null when there
+     * is nothing to check
+     */
+    async checkAnswer(index, optionIndex = null) {
+        const exercise = this.exercises[index];
+        if (!exercise || this.isLocked(index)) return null;
+
+        const answer = this.readAnswer(index, optionIndex);
+        if (!answer) return null;
+
+        let result = { answer, correct: answersMatch(answer, exercise.answer), revealed: false, feedback: null };
+
+        // Free-form answers can be right without matching the model answer
+        if (!result.correct && this.getWidgetType(exercise) === 'free' && this.geminiAPI) {
+            this.setChecking(index, true);
+            try {
+                const grade = await this.geminiAPI.gradeExerciseAnswer(
+                    exercise,
+                    answer,
+                    this.languages.sourceLanguage,
+                    this.languages.targetLanguage
+                );
+                result = { ...result, correct: grade.correct, feedback: grade.feedback || null };
+            } finally {
+                this.setChecking(index, false);
+            }
+        }
+
+        this.results[index] = result;
+        this.renderWidget(index);
+        this.renderScore();
+        return result;
+    }
+
+    /**
+     * Show a progress label on the Check button while the AI grades
+     */
+    setChecking(index, checking) {
+        const button = document.querySelector(`#exercise-widget-${index} .check-exercise-btn`);
+        if (button) {
+            button.textContent = checking ? '⏳ Checking...' : 'Check';
+            button.disabled = checking;
+        }
+    }
+
+    /**
+     * Show an exercise's answer; the exercise then counts as not solved
+     */
+    revealAnswer(index) {
+        if (!this.exercises[index] || this.isLocked(index)) return;
+
+        this.results[index] = {
+            answer: this.results[index]?.answer || '',
+            correct: false,
+            revealed: true,
+            feedback: this.results[index]?.feedback || null
+        };
+        this.renderWidget(index);
+        this.renderScore();
+    }
+
+    /**
+     * Results to store with the session
+     */
+    getResults() {
+        return {
+            answers: this.results,
+            correctCount: this.results.filter(result => result?.correct).length,
+            total: this.exercises.length
+        };
+    }
+
+    /**
+     * Update the exercise score shown above the exercises
+     */
+    renderScore() {
+        const element = document.getElementById('exercise-score');
+        if (!element) return;
+
+        const { answers, correctCount, total } = this.getResults();
+        const attempted = answers.filter(Boolean).length;
+        element.textContent = attempted > 0 ? `Score: ${correctCount} / ${total} correct` : '';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,330 @@
+import { downloadFile } from '../utils/download.js';
+import { dayKey } from '../utils/date.js';
+import { escapeHtml, renderMarkdown } from '../utils/sanitize.js';
+import { errorCategories } from '../utils/constants.js';
+import { splitTiles } from './exercises.js';
+
+/**
+ * Export Module
+ * Turns a practice session's graded story or mini lesson into Markdown, a
+ * printable page (saved as PDF from the browser's print dialog) or an Anki
+ * deck (tab-separated, importable with File > Import)
+ */
+
+/**
+ * Collapse tabs and line breaks so a value fits in one TSV field
+ */
+function tsvField(value) {
+    return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Anki tag without spaces (Anki splits tags on whitespace)
+ */
+function ankiTag(value) {
+    return String(value ?? '').trim().replace(/\s+/g, '_');
+}
+
+/**
+ * "word → correction (Category)" lines for a sentence's errors
+ */
+function describeErrors(errors = []) {
+    return errors.map(error => `${error.span} → ${error.correction} (${errorCategories[error.category] || error.category})`);
+}
+
+/**
+ * Title-cased exercise type ("fill-in-blank" → "Fill In Blank")
+ */
+function exerciseTypeLabel(type) {
+    return String(type || 'exercise').replace(/-/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Options for multiple-choice exercises, or the scrambled words for
+ * word-order ones (empty for other types)
+ */
+function exerciseChoices(exercise) {
+    if (exercise.type === 'multiple-choice' && Array.isArray(exercise.options)) {
+        return exercise.options;
+    }
+    if (exercise.type === 'word-order') {
+        return splitTiles(exercise.answer).words.sort((a, b) => a.localeCompare(b));
+    }
+    return [];
+}
+
+export class ExportManager {
+    /**
+     * Whether a session has the content needed for an export
+     */
+    hasContent(session, content) {
+        if (!session) return false;
+        return content === 'lesson' ? Boolean(session.miniLesson) : Boolean(session.sentenceFeedback?.length);
+    }
+
+    /**
+     * Export a session's graded story ('feedback') or mini lesson ('lesson')
+     * as 'markdown', 'print' or 'anki'
+     */
+    exportSession(session, content, format) {
+        if (!this.hasContent(session, content)) {
+            throw new Error(content === 'lesson' ? 'Generate a mini lesson first' : 'Get feedback on your translations first');
+        }
+
+        const name = `getfluentnow-${content}-${dayKey(session.createdAt)}`;
+
+        if (format === 'markdown') {
+            const markdown = content === 'lesson' ? this.lessonToMarkdown(session) : this.feedbackToMarkdown(session);
+            downloadFile(`${name}.md`, markdown, 'text/markdown');
+        } else if (format === 'print') {
+            const html = content === 'lesson' ? this.lessonToHtml(session) : this.feedbackToHtml(session);
+            this.openPrintPage(this.describeSession(session).title, html);
+        } else if (format === 'anki') {
+            const rows = content === 'lesson' ? this.lessonToAnkiRows(session) : this.feedbackToAnkiRows(session);
+            if (rows.length === 0) {
+                throw new Error('There are no cards to export');
+            }
+            downloadFile(`${name}.txt`, this.toAnkiTsv(rows), 'text/tab-separated-values');
+        } else {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * Title and one-line details shared by every export of a session
+     */
+    describeSession(session) {
+        const date = new Date(session.createdAt).toLocaleDateString();
+        return {
+            title: session.theme || 'Practice session',
+            details: [`${session.sourceLanguage} → ${session.targetLanguage}`, session.level, date].filter(Boolean).join(' · ')
+        };
+    }
+
+    /**
+     * Graded story as Markdown
+     */
+    feedbackToMarkdown(session) {
+        const { title, details } = this.describeSession(session);
+        const lines = [`# ${title}`, '', `_${details}_`, ''];
+
+        lines.push('## Story', '', session.sentences.join(' '), '');
+        lines.push('## Sentence Feedback', '');
+
+        session.sentenceFeedback.forEach(item => {
+            lines.push(`### Sentence ${item.sentenceIndex + 1} — Grade ${item.grade}`, '');
+            lines.push(`- **Original:** ${item.original}`);
+            lines.push(`- **Translation:** ${item.userTranslation}`);
+            lines.push(`- **Reference:** ${item.referenceTranslation}`);
+            describeErrors(item.errors).forEach(error => lines.push(`- **Error:** ${error}`));
+            lines.push('', item.feedback, '');
+        });
+
+        if (session.overallFeedback) {
+            lines.push('## Overall Feedback', '', session.overallFeedback, '');
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Mini lesson as Markdown, with exercise answers in a key at the end
+     */
+    lessonToMarkdown(session) {
+        const lesson = session.miniLesson;
+        const { title, details } = this.describeSession(session);
+
+        if (typeof lesson === 'string') {
+            return [`# Mini Lesson: ${title}`, '', `_${details}_`, '', lesson, ''].join('\n');
+        }
+
+        const lines = [`# ${lesson.title}`, '', `_${title} · ${details}_`, ''];
+
+        lines.push('## Grammar Focus', '', lesson.grammarFocus, '');
+
+        lines.push('## Key Vocabulary', '');
+        lesson.vocabulary.forEach(vocab => {
+            lines.push(`- **${vocab.word}** — ${vocab.meaning}`, `  _${vocab.example}_`);
+        });
+
+        lines.push('', '## Common Mistakes', '');
+        lesson.commonMistakes.forEach(mistake => {
+            lines.push(`- ❌ ${mistake.mistake}`, `  ✅ ${mistake.correction}`, `  _${mistake.example}_`);
+        });
+
+        lines.push('', '## Exercises', '');
+        lesson.exercises.forEach((exercise, index) => {
+            lines.push(`${index + 1}. **${exerciseTypeLabel(exercise.type)}:** ${exercise.instruction}`, `   ${exercise.question}`);
+            const choices = exerciseChoices(exercise);
+            if (choices.length > 0) lines.push(`   ${choices.join(' · ')}`);
+        });
+
+        lines.push('', '## Answer Key', '');
+        lesson.exercises.forEach((exercise, index) => {
+            lines.push(`${index + 1}. **${exercise.answer}** — ${exercise.explanation}`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Graded story as printable HTML
+     */
+    feedbackToHtml(session) {
+        const { title, details } = this.describeSession(session);
+
+        const items = session.sentenceFeedback.map(item => {
+            const errors = describeErrors(item.errors).map(error => `<li>${escapeHtml(error)}</li>`).join('');
+            return `
+                <section class="item">
+                    <h3>Sentence ${item.sentenceIndex + 1} <span class="grade">${escapeHtml(item.grade)}</span></h3>
+                    <p><strong>Original:</strong> ${escapeHtml(item.original)}</p>
+                    <p><strong>Translation:</strong> ${escapeHtml(item.userTranslation)}</p>
+                    <p><strong>Reference:</strong> ${escapeHtml(item.referenceTranslation)}</p>
+                    ${errors ? `<ul class="errors">${errors}</ul>` : ''}
+                    ${renderMarkdown(item.feedback)}
+                </section>
+            `;
+        }).join('');
+
+        return `
+            <h1>${escapeHtml(title)}</h1>
+            <p class="details">${escapeHtml(details)}</p>
+            <h2>Story</h2>
+            <p>${escapeHtml(session.sentences.join(' '))}</p>
+            <h2>Sentence Feedback</h2>
+            ${items}
+            ${session.overallFeedback ? `<h2>Overall Feedback</h2>${renderMarkdown(session.overallFeedback)}` : ''}
+        `;
+    }
+
+    /**
+     * Mini lesson as printable HTML, with exercise answers on a separate page
+     */
+    lessonToHtml(session) {
+        const lesson = session.miniLesson;
+        const { title, details } = this.describeSession(session);
+
+        if (typeof lesson === 'string') {
+            return `
+                <h1>Mini Lesson: ${escapeHtml(title)}</h1>
+                <p class="details">${escapeHtml(details)}</p>
+                ${renderMarkdown(lesson)}
+            `;
+        }
+
+        const vocabulary = lesson.vocabulary.map(vocab => `
+            <li><strong>${escapeHtml(vocab.word)}</strong> — ${escapeHtml(vocab.meaning)}<br><em>${escapeHtml(vocab.example)}</em></li>
+        `).join('');
+        const mistakes = lesson.commonMistakes.map(mistake => `
+            <li>❌ ${escapeHtml(mistake.mistake)}<br>✅ ${escapeHtml(mistake.correction)}<br><em>${escapeHtml(mistake.example)}</em></li>
+        `).join('');
+        const exercises = lesson.exercises.map(exercise => `
+            <li>
+                <strong>${escapeHtml(exerciseTypeLabel(exercise.type))}:</strong> ${escapeHtml(exercise.instruction)}
+                <p>${escapeHtml(exercise.question)}</p>
+                ${exerciseChoices(exercise).length > 0 ? `<p>${exerciseChoices(exercise).map(escapeHtml).join(' · ')}</p>` : ''}
+                <div class="answer-line"></div>
+            </li>
+        `).join('');
+        const answers = lesson.exercises.map(exercise => `
+            <li><strong>${escapeHtml(exercise.answer)}</strong> — ${escapeHtml(exercise.explanation)}</li>
+        `).join('');
+
+        return `
+            <h1>${escapeHtml(lesson.title)}</h1>
+            <p class="details">${escapeHtml(`${title} · ${details}`)}</p>
+            <h2>Grammar Focus</h2>
+            <p>${escapeHtml(lesson.grammarFocus)}</p>
+            <h2>Key Vocabulary</h2>
+            <ul>${vocabulary}</ul>
+            <h2>Common Mistakes</h2>
+            <ul>${mistakes}</ul>
+            <h2>Exercises</h2>
+            <ol>${exercises}</ol>
+            <section class="answer-key">
+                <h2>Answer Key</h2>
+                <ol>${answers}</ol>
+            </section>
+        `;
+    }
+
+    /**
+     * Open a print-ready page in a new window and show the print dialog
+     */
+    openPrintPage(title, bodyHtml) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            throw new Error('Allow pop-ups for this site to print or save as PDF');
+        }
+
+        printWindow.document.open();
+        printWindow.document.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: Georgia, 'Times New Roman', serif; color: #111827; max-width: 760px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+        h1 { margin-bottom: 4px; }
+        h2 { border-bottom: 1px solid #d1d5db; padding-bottom: 4px; margin-top: 28px; }
+        .details { color: #6b7280; margin-top: 0; }
+        .item { border-left: 3px solid #667eea; padding-left: 12px; margin-bottom: 18px; break-inside: avoid; }
+        .grade { border: 1px solid #374151; border-radius: 4px; padding: 0 6px; font-family: sans-serif; font-size: 0.9em; }
+        .errors { color: #b91c1c; }
+        li { margin-bottom: 8px; }
+        .answer-line { border-bottom: 1px solid #9ca3af; height: 24px; margin-bottom: 12px; }
+        .answer-key { break-before: page; }
+        @media print { body { margin: 0 auto; } }
+    </style>
+</head>
+<body>${bodyHtml}</body>
+</html>`);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    /**
+     * Anki notes (front, back, tags) for each graded sentence: the original
+     * on the front, the reference translation and corrections on the back
+     */
+    feedbackToAnkiRows(session) {
+        const tags = ['getfluentnow', ankiTag(session.languagePair), ankiTag(session.level)].filter(Boolean).join(' ');
+
+        return session.sentenceFeedback.map(item => {
+            const corrections = describeErrors(item.errors);
+            const back = corrections.length > 0
+                ? `${item.referenceTranslation} (${corrections.join('; ')})`
+                : item.referenceTranslation;
+            return [item.original, back, tags];
+        });
+    }
+
+    /**
+     * Anki notes for a mini lesson's vocabulary, mistakes and exercises
+     */
+    lessonToAnkiRows(session) {
+        const lesson = session.miniLesson;
+        if (typeof lesson !== 'object' || lesson === null) return [];
+
+        const tags = ['getfluentnow', ankiTag(session.languagePair), ankiTag(session.level)].filter(Boolean).join(' ');
+        return [
+            ...lesson.vocabulary.map(vocab => [vocab.word, `${vocab.meaning} — ${vocab.example}`, `${tags} vocabulary`]),
+            ...lesson.commonMistakes.map(mistake => [mistake.mistake, `${mistake.correction} — ${mistake.example}`, `${tags} mistake`]),
+            ...lesson.exercises.map(exercise => [
+                `${exercise.instruction} ${exercise.question}`,
+                `${exercise.answer} — ${exercise.explanation}`,
+                `${tags} exercise`
+            ])
+        ];
+    }
+
+    /**
+     * Tab-separated Anki import file with headers naming the separator and tag column
+     */
+    toAnkiTsv(rows) {
+        const header = ['#separator:tab', '#html:false', '#columns:Front\tBack\tTags', '#tags column:3'];
+        return [...header, ...rows.map(row => row.map(tsvField).join('\t'))].join('\n') + '\n';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,186 @@
+import { getAllRecords, putRecord, generateId } from '../utils/db.js';
+import { createSchedule, scheduleReview, isDueToday, reviewGrades } from '../utils/srs.js';
+import { escapeHtml } from '../utils/sanitize.js';
+
+/**
+ * Flashcard Features Module
+ * Builds a spaced-repetition deck from mini lesson items and runs review sessions
+ */
+
+export class FlashcardManager {
+    constructor() {
+        this.reviewQueue = [];
+        this.reviewIndex = 0;
+        this.reviewedCount = 0;
+        this.answerShown = false;
+    }
+
+    /**
+     * Save a card to the deck; returns null if the pair already has it
+     */
+    async saveCard({ front, back, example, kind, sourceLanguage, targetLanguage }) {
+        const languagePair = `${sourceLanguage}→${targetLanguage}`;
+        const deck = await getAllRecords('flashcards', 'languagePair', languagePair);
+        const normalizedFront = front.trim().toLowerCase();
+
+        if (deck.some(card => card.front.trim().toLowerCase() === normalizedFront)) {
+            return null;
+        }
+
+        const now = Date.now();
+        return putRecord('flashcards', {
+            id: generateId(),
+            createdAt: now,
+            kind,
+            front,
+            back,
+            example: example || '',
+            sourceLanguage,
+            targetLanguage,
+            languagePair,
+            ...createSchedule(now)
+        });
+    }
+
+    /**
+     * Get every card for a language pair
+     */
+    async getDeck(sourceLanguage, targetLanguage) {
+        return getAllRecords('flashcards', 'languagePair', `${sourceLanguage}→${targetLanguage}`);
+    }
+
+    /**
+     * Get the cards due today for a language pair, most overdue first
+     */
+    async getDueCards(sourceLanguage, targetLanguage) {
+        const deck = await this.getDeck(sourceLanguage, targetLanguage);
+        return deck
+            .filter(card => isDueToday(card))
+            .sort((a, b) => a.dueAt - b.dueAt);
+    }
+
+    /**
+     * Refresh the deck summary shown in the flashcard section
+     */
+    async updateDeckSummary(sourceLanguage, targetLanguage) {
+        const summary = document.getElementById('flashcard-summary');
+        const reviewBtn = document.getElementById('review-deck-btn');
+        if (!summary) return;
+
+        try {
+            const deck = await this.getDeck(sourceLanguage, targetLanguage);
+            const dueCount = deck.filter(card => isDueToday(card)).length;
+
+            summary.textContent = deck.length === 0
+                ? `No cards for ${sourceLanguage} → ${targetLanguage} yet. Save vocabulary or mistakes from a mini lesson.`
+                : `${dueCount} due today · ${deck.length} card${deck.length === 1 ? '' : 's'} for ${sourceLanguage} → ${targetLanguage}`;
+
+            if (reviewBtn) {
+                reviewBtn.disabled = dueCount === 0;
+                reviewBtn.textContent = dueCount > 0 ? `▶️ Review ${dueCount}` : '✅ All caught up';
+            }
+        } catch (error) {
+            console.warn('Could not load flashcard deck:', error);
+            summary.textContent = 'Flashcards are unavailable in this browser.';
+            if (reviewBtn) reviewBtn.disabled = true;
+        }
+    }
+
+    /**
+     * Open the review modal with today's due cards
+     */
+    async startReview(sourceLanguage, targetLanguage) {
+        this.reviewQueue = await this.getDueCards(sourceLanguage, targetLanguage);
+        this.reviewIndex = 0;
+        this.reviewedCount = 0;
+        this.answerShown = false;
+
+        const modal = document.getElementById('review-modal');
+        if (modal) {
+            modal.style.display = 'flex';
+        }
+
+        this.renderReviewCard();
+    }
+
+    /**
+     * Render the current card (or the finished screen)
+     */
+    renderReviewCard() {
+        const body = document.getElementById('review-body');
+        if (!body) return;
+
+        const card = this.reviewQueue[this.reviewIndex];
+        if (!card) {
+            body.innerHTML = `
+                <div class="review-complete">
+                    <p>🎉 Review complete! You reviewed ${this.reviewedCount} card${this.reviewedCount === 1 ? '' : 's'}.</p>
+                    <button class="review-done-btn" data-action="close-review">Done</button>
+                </div>
+            `;
+            return;
+        }
+
+        const gradeButtons = Object.entries(reviewGrades).map(([key, grade]) => `
+            <button class="review-grade-btn review-grade-${key}" data-action="grade-review-card" data-grade="${key}">${grade.label}</button>
+        `).join('');
+
+        body.innerHTML = `
+            <div class="review-progress">Card ${this.reviewIndex + 1} of ${this.reviewQueue.length}</div>
+            <div class="flashcard">
+                <div class="flashcard-kind">${card.kind === 'mistake' ? '⚠️ Common mistake' : '📝 Vocabulary'}</div>
+                <div class="flashcard-front">${escapeHtml(card.front)}</div>
+                <div class="flashcard-back" style="display: ${this.answerShown ? 'block' : 'none'};">
+                    <div class="flashcard-answer">${escapeHtml(card.back)}</div>
+                    ${card.example ? `<div class="flashcard-example"><em>${escapeHtml(card.example)}</em></div>` : ''}
+                </div>
+            </div>
+            <div class="review-actions">
+                ${this.answerShown
+                    ? gradeButtons
+                    : '<button class="review-show-btn" data-action="show-review-answer">Show Answer</button>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Reveal the back of the current card
+     */
+    showAnswer() {
+        this.answerShown = true;
+        this.renderReviewCard();
+    }
+
+    /**
+     * Grade the current card and advance to the next one
+     */
+    async gradeCard(gradeKey) {
+        const card = this.reviewQueue[this.reviewIndex];
+        const grade = reviewGrades[gradeKey];
+        if (!card || !grade) return;
+
+        const updated = scheduleReview(card, grade.quality);
+        await putRecord('flashcards', updated);
+        this.reviewedCount++;
+
+        // Cards that weren't recalled come back at the end of this session
+        if (grade.quality < 3) {
+            this.reviewQueue.push(updated);
+        }
+
+        this.reviewIndex++;
+        this.answerShown = false;
+        this.renderReviewCard();
+    }
+
+    /**
+     * Close the review modal
+     */
+    closeReview() {
+        const modal = document.getElementById('review-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        this.reviewQueue = [];
+    }
+}
\ No newline at end of file
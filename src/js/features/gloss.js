@@ -0,0 +1,204 @@
+import { tokenizeWords } from '../utils/text.js';
+import { escapeHtml } from '../utils/sanitize.js';
+
+/**
+ * Word Gloss Module
+ * Glosses every word of a story with batched structured requests when the
+ * story is generated and shows the entry for a tapped word in a popover. Glosses
+ * are kept per story in memory and saved with the practice session.
+ */
+
+// Stories whose glosses are kept in memory
+const MAX_CACHED_STORIES = 10;
+
+/**
+ * Lookup key for a word as it appears in the story
+ */
+function glossKey(word) {
+    return word.normalize('NFC').toLowerCase();
+}
+
+export class GlossManager {
+    constructor(geminiAPI) {
+        this.geminiAPI = geminiAPI;
+        this.cache = new Map();
+        this.storyKey = null;
+        this.entries = null;
+        this.pending = null;
+        this.unavailableMessage = null;
+        this.activeWord = null;
+    }
+
+    /**
+     * Unique words of a story, in order of first appearance (numbers skipped)
+     */
+    collectWords(sentences) {
+        const words = new Map();
+        sentences.forEach(sentence => {
+            tokenizeWords(sentence).forEach(({ word }) => {
+                const key = glossKey(word);
+                if (!words.has(key) && !/^\p{N}+$/u.test(word)) {
+                    words.set(key, word);
+                }
+            });
+        });
+        return [...words.values()];
+    }
+
+    /**
+     * Make a story's glosses available for lookups: saved glosses are used
+     * as they are, otherwise the whole story is glossed in batched requests.
+     * Returns { language, entries } or null if the story couldn't be glossed.
+     */
+    async prepare(sentences, language, nativeLanguage, saved = null) {
+        const storyKey = `${language}→${nativeLanguage}|${sentences.join(' ')}`;
+        this.hidePopover();
+        this.storyKey = storyKey;
+        this.entries = null;
+        this.pending = null;
+        this.unavailableMessage = null;
+
+        const known = saved?.language === language ? saved : this.cache.get(storyKey);
+        if (known) {
+            this.remember(storyKey, known);
+            this.entries = known.entries;
+            this.refreshPopover();
+            return known;
+        }
+
+        if (!this.geminiAPI) {
+            this.setUnavailable('Word lookup needs an API key and a connection');
+            return null;
+        }
+
+        this.pending = this.geminiAPI.glossStory(sentences, this.collectWords(sentences), language, nativeLanguage);
+        try {
+            const glosses = await this.pending;
+            const entries = {};
+            glosses.forEach(({ word, lemma, partOfSpeech, meaning, example }) => {
+                entries[glossKey(word)] = { word, lemma, partOfSpeech, meaning, example };
+            });
+
+            const result = { language, entries };
+            this.remember(storyKey, result);
+
+            // Ignore results for a story that was replaced while glossing
+            if (this.storyKey !== storyKey) return result;
+            this.entries = entries;
+            this.refreshPopover();
+            return result;
+        } catch (error) {
+            if (this.storyKey === storyKey) {
+                this.setUnavailable(`Word lookup failed: ${error.userMessage || error.message}`);
+            }
+            throw error;
+        } finally {
+            if (this.storyKey === storyKey) this.pending = null;
+        }
+    }
+
+    /**
+     * Keep a story's glosses in the in-memory cache, dropping the oldest story
+     */
+    remember(storyKey, glosses) {
+        this.cache.delete(storyKey);
+        this.cache.set(storyKey, glosses);
+        if (this.cache.size > MAX_CACHED_STORIES) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Turn lookups off for a story that isn't glossed
+     */
+    disable(message) {
+        this.storyKey = null;
+        this.hidePopover();
+        this.setUnavailable(message);
+    }
+
+    /**
+     * Turn lookups off for the current story, explaining why in the popover
+     */
+    setUnavailable(message) {
+        this.entries = null;
+        this.pending = null;
+        this.unavailableMessage = message;
+        this.refreshPopover();
+    }
+
+    /**
+     * Gloss entry for a word in the current story
+     */
+    lookup(word) {
+        return this.entries?.[glossKey(word)] || null;
+    }
+
+    /**
+     * Show the popover for a tapped word, or hide it when the word is tapped again
+     */
+    toggleWord(wordElement) {
+        if (this.activeWord === wordElement) {
+            this.hidePopover();
+            return;
+        }
+
+        this.hidePopover();
+        this.activeWord = wordElement;
+        wordElement.classList.add('glossed-word');
+        this.refreshPopover();
+    }
+
+    /**
+     * Render the popover for the active word and place it below the word
+     */
+    refreshPopover() {
+        const popover = document.getElementById('gloss-popover');
+        if (!popover || !this.activeWord) return;
+
+        const word = this.activeWord.textContent;
+        const entry = this.lookup(word);
+
+        let bodyHtml;
+        if (entry) {
+            const lemma = entry.lemma && glossKey(entry.lemma) !== glossKey(word) ? ` <span class="gloss-lemma">← ${escapeHtml(entry.lemma)}</span>` : '';
+            bodyHtml = `
+                <div class="gloss-word">${escapeHtml(word)}${lemma}</div>
+                <div class="gloss-pos">${escapeHtml(entry.partOfSpeech)}</div>
+                <div class="gloss-meaning">${escapeHtml(entry.meaning)}</div>
+                ${entry.example ? `<div class="gloss-example">${escapeHtml(entry.example)}</div>` : ''}
+            `;
+        } else if (this.pending) {
+            bodyHtml = `<div class="gloss-word">${escapeHtml(word)}</div><div class="gloss-status">⏳ Looking up words...</div>`;
+        } else {
+            const message = this.unavailableMessage || 'No entry for this word';
+            bodyHtml = `<div class="gloss-word">${escapeHtml(word)}</div><div class="gloss-status">${escapeHtml(message)}</div>`;
+        }
+
+        popover.innerHTML = `
+            <button class="gloss-close" data-action="close-gloss" title="Close">×</button>
+            ${bodyHtml}
+        `;
+        popover.hidden = false;
+
+        const rect = this.activeWord.getBoundingClientRect();
+        const viewportWidth = document.documentElement.clientWidth;
+        const left = Math.min(
+            Math.max(8, rect.left + rect.width / 2 - popover.offsetWidth / 2),
+            viewportWidth - popover.offsetWidth - 8
+        );
+        popover.style.left = `${left + window.scrollX}px`;
+        popover.style.top = `${rect.bottom + window.scrollY + 8}px`;
+    }
+
+    /**
+     * Close the popover
+     */
+    hidePopover() {
+        const popover = document.getElementById('gloss-popover');
+        if (popover) popover.hidden = true;
+
+        this.activeWord?.classList.remove('glossed-word');
+        this.activeWord = null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+import { getAllRecords, getRecord, putRecord, deleteRecord, generateId } from '../utils/db.js';
+import { escapeHtml } from '../utils/sanitize.js';
+
+/**
+ * Practice History Module
+ * Persists practice sessions in IndexedDB and renders the history panel
+ */
+
+export class HistoryManager {
+    constructor() {
+        this.isOpen = false;
+    }
+
+    /**
+     * Create and store a new practice session for a generated story
+     */
+    async createSession({ sourceLanguage, targetLanguage, mode = 'translation', level, theme, themeKey, variant, sentences }) {
+        const now = Date.now();
+        const session = {
+            id: generateId(),
+            createdAt: now,
+            updatedAt: now,
+            sourceLanguage,
+            targetLanguage,
+            languagePair: `${sourceLanguage}→${targetLanguage}`,
+            mode,
+            level,
+            theme,
+            themeKey,
+            variant,
+            sentences,
+            userTranslations: [],
+            sentenceFeedback: null,
+            overallFeedback: null,
+            translatedCount: 0,
+            miniLesson: null,
+            exerciseResults: null,
+            glosses: null,
+            dictationResults: null,
+            speakingResults: null,
+            pronunciationFeedback: null
+        };
+
+        return putRecord('sessions', session);
+    }
+
+    /**
+     * Merge changes into a stored session
+     */
+    async updateSession(id, changes) {
+        const session = await getRecord('sessions', id);
+        if (!session) {
+            throw new Error(`Session ${id} not found`);
+        }
+
+        return putRecord('sessions', {
+            ...session,
+            ...changes,
+            id,
+            updatedAt: Date.now()
+        });
+    }
+
+    /**
+     * Get a stored session by id
+     */
+    async getSession(id) {
+        return getRecord('sessions', id);
+    }
+
+    /**
+     * List all sessions, newest first
+     */
+    async listSessions() {
+        const sessions = await getAllRecords('sessions', 'createdAt');
+        return sessions.reverse();
+    }
+
+    /**
+     * Delete a stored session
+     */
+    async deleteSession(id) {
+        return deleteRecord('sessions', id);
+    }
+
+    /**
+     * Toggle the history panel, refreshing the list when it opens
+     */
+    async toggleHistoryPanel() {
+        const panel = document.getElementById('history-list');
+        const toggle = document.getElementById('history-toggle-btn');
+        if (!panel) return;
+
+        this.isOpen = !this.isOpen;
+        panel.style.display = this.isOpen ? 'block' : 'none';
+        if (toggle) {
+            toggle.textContent = this.isOpen ? 'Hide History' : 'Show History';
+        }
+
+        if (this.isOpen) {
+            await this.renderHistoryList();
+        }
+    }
+
+    /**
+     * Render the list of past sessions
+     */
+    async renderHistoryList() {
+        const panel = document.getElementById('history-list');
+        if (!panel) return;
+
+        let sessions;
+        try {
+            sessions = await this.listSessions();
+        } catch (error) {
+            console.error('Could not load practice history:', error);
+            panel.innerHTML = '<p class="history-empty">Practice history is unavailable in this browser.</p>';
+            return;
+        }
+
+        if (sessions.length === 0) {
+            panel.innerHTML = '<p class="history-empty">No practice sessions yet. Generate a story to get started!</p>';
+            return;
+        }
+
+        panel.innerHTML = sessions.map(session => `
+            <div class="history-item">
+                <div class="history-item-header">
+                    <span class="history-item-date">${new Date(session.createdAt).toLocaleString()}</span>
+                    <span class="history-item-meta">${escapeHtml(`${session.sourceLanguage} → ${session.targetLanguage} · ${session.level} · ${session.theme}${session.variant ? ` (${session.variant})` : ''}`)}</span>
+                </div>
+                <div class="history-item-preview">${escapeHtml((session.sentences || []).join(' ').slice(0, 140))}…</div>
+                <div class="history-item-footer">
+                    <span class="history-item-grades">${escapeHtml(this.formatGradeSummary(session))}</span>
+                    <div class="history-item-actions">
+                        <button data-action="open-history-session" data-id="${escapeHtml(session.id)}">👁️ Review</button>
+                        <button data-action="retry-history-session" data-id="${escapeHtml(session.id)}">🔁 Re-attempt</button>
+                        <button data-action="delete-history-session" data-id="${escapeHtml(session.id)}" title="Delete session">🗑️</button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Summarize a session's grades, e.g. "4/8 graded · A×2 B×1 C×1"
+     * (dictation and speaking sessions show their word accuracy instead)
+     */
+    formatGradeSummary(session) {
+        if (session.mode === 'dictation') {
+            const results = session.dictationResults;
+            if (!results) return '🎧 Dictation · Not checked yet';
+            return `🎧 Dictation · ${results.attemptedCount}/${session.sentences.length} typed · ${Math.round(results.wordAccuracy * 100)}% words`;
+        }
+
+        if (session.mode === 'speaking') {
+            const results = session.speakingResults;
+            if (!results || results.attemptedCount === 0) return '🎙️ Speaking · Not recorded yet';
+            return `🎙️ Speaking · ${results.attemptedCount}/${session.sentences.length} recorded · ${Math.round(results.wordAccuracy * 100)}% words${session.pronunciationFeedback ? ' · 🗣️ feedback' : ''}`;
+        }
+
+        const modeLabel = session.mode === 'production' ? '✍️ Production · ' : '';
+
+        if (!session.sentenceFeedback || session.sentenceFeedback.length === 0) {
+            return `${modeLabel}Not graded yet`;
+        }
+
+        const counts = {};
+        session.sentenceFeedback.forEach(item => {
+            const grade = item.grade || 'C';
+            counts[grade] = (counts[grade] || 0) + 1;
+        });
+
+        const gradeList = ['A', 'B', 'C', 'D', 'F']
+            .filter(grade => counts[grade])
+            .map(grade => `${grade}×${counts[grade]}`)
+            .join(' ');
+
+        return `${modeLabel}${session.sentenceFeedback.length}/${session.sentences.length} graded · ${gradeList}${session.miniLesson ? ' · 📚 lesson' : ''}`;
+    }
+}
\ No newline at end of file
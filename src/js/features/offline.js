@@ -0,0 +1,198 @@
+import { getAllRecords, putRecord, deleteRecord, generateId } from '../utils/db.js';
+import { getStoryParams } from '../utils/story-generator.js';
+import { languageNames, STORY_BANK } from '../utils/constants.js';
+
+/**
+ * Offline Practice Module
+ * Registers the service worker that caches the app shell, keeps a bank of
+ * pre-generated stories per language, level and theme, and queues sentence
+ * translations written offline until they can be graded
+ */
+
+export class OfflineManager {
+    constructor(geminiAPI = null) {
+        this.geminiAPI = geminiAPI;
+        this.isBanking = false;
+        this.isProcessingQueue = false;
+    }
+
+    /**
+     * Whether the browser currently has a network connection
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Register the service worker that serves the app while offline
+     */
+    async registerServiceWorker() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+        try {
+            await navigator.serviceWorker.register('./sw.js');
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+
+    /**
+     * Generate a batch of stories for offline practice.
+     * onProgress(saved, total) is called after each story.
+     */
+    async bankStories({ language, level, themeKey, customTheme = null, count = STORY_BANK.batchSize, onProgress } = {}) {
+        if (!this.geminiAPI) {
+            throw new Error('Please configure your API key first');
+        }
+        if (this.isBanking) {
+            throw new Error('Already saving stories');
+        }
+
+        this.isBanking = true;
+        let saved = 0;
+        try {
+            for (let i = 0; i < count; i++) {
+                const storyParams = getStoryParams(themeKey, customTheme);
+                const sentences = await this.geminiAPI.generateStructuredStory(
+                    languageNames[language],
+                    level,
+                    storyParams.theme,
+                    storyParams.variant
+                );
+
+                await putRecord('stories', {
+                    id: generateId(),
+                    language,
+                    level,
+                    themeKey,
+                    theme: storyParams.theme,
+                    variant: storyParams.variant,
+                    sentences,
+                    createdAt: new Date().toISOString()
+                });
+                saved++;
+                if (onProgress) onProgress(saved, count);
+            }
+        } finally {
+            this.isBanking = false;
+            await this.pruneStories(language);
+        }
+
+        return saved;
+    }
+
+    /**
+     * Drop the oldest banked stories beyond the per-language limit
+     */
+    async pruneStories(language) {
+        const stories = await this.getBankedStories(language);
+        const excess = stories.slice(0, Math.max(0, stories.length - STORY_BANK.maxPerLanguage));
+        for (const story of excess) {
+            await deleteRecord('stories', story.id);
+        }
+    }
+
+    /**
+     * Banked stories for a language, oldest first
+     */
+    async getBankedStories(language) {
+        const stories = await getAllRecords('stories', 'language', language);
+        return stories.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Banked stories matching a level and theme (and the text of a custom theme)
+     */
+    async findBankedStories(language, level, themeKey, customTheme = null) {
+        const stories = await this.getBankedStories(language);
+        return stories.filter(story =>
+            story.level === level &&
+            story.themeKey === themeKey &&
+            (themeKey !== 'custom' || story.theme === customTheme?.trim())
+        );
+    }
+
+    /**
+     * Take the oldest matching story out of the bank, or null if there is none
+     */
+    async takeStory(language, level, themeKey, customTheme = null) {
+        const [story] = await this.findBankedStories(language, level, themeKey, customTheme);
+        if (!story) return null;
+
+        await deleteRecord('stories', story.id);
+        return story;
+    }
+
+    /**
+     * Show how many stories are saved for the current selection
+     */
+    async updateBankSummary(language, level, themeKey, customTheme = null) {
+        const summary = document.getElementById('story-bank-summary');
+        if (!summary) return;
+
+        try {
+            const matching = await this.findBankedStories(language, level, themeKey, customTheme);
+            const queued = await this.getQueue();
+            const parts = [`${matching.length} saved ${matching.length === 1 ? 'story' : 'stories'} for ${language} ${level}`];
+            if (queued.length > 0) {
+                parts.push(`${queued.length} submission${queued.length === 1 ? '' : 's'} waiting to be graded`);
+            }
+            summary.textContent = parts.join(' · ');
+        } catch (error) {
+            console.warn('Could not read the story bank:', error);
+            summary.textContent = 'Offline stories are unavailable in this browser.';
+        }
+    }
+
+    /**
+     * Queue sentence translations for grading once the connection returns
+     */
+    async queueGrading(entry) {
+        return await putRecord('gradingQueue', {
+            id: generateId(),
+            createdAt: new Date().toISOString(),
+            ...entry
+        });
+    }
+
+    /**
+     * Queued grading requests, oldest first
+     */
+    async getQueue() {
+        return await getAllRecords('gradingQueue', 'createdAt');
+    }
+
+    /**
+     * Grade every queued submission. onGraded(entry, result) is called after
+     * each one; entries that fail stay queued for the next attempt.
+     */
+    async processQueue(onGraded) {
+        if (!this.geminiAPI || this.isProcessingQueue || !this.isOnline()) return 0;
+
+        this.isProcessingQueue = true;
+        let graded = 0;
+        try {
+            const queue = await this.getQueue();
+            for (const entry of queue) {
+                try {
+                    const result = await this.geminiAPI.rateSentenceTranslations(
+                        entry.sentences,
+                        entry.userTranslations,
+                        entry.sourceLanguage,
+                        entry.targetLanguage,
+                        { direction: entry.direction }
+                    );
+                    await deleteRecord('gradingQueue', entry.id);
+                    graded++;
+                    if (onGraded) await onGraded(entry, result);
+                } catch (error) {
+                    console.error('Queued grading error:', error);
+                }
+            }
+        } finally {
+            this.isProcessingQueue = false;
+        }
+
+        return graded;
+    }
+}
\ No newline at end of file
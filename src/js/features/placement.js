@@ -0,0 +1,246 @@
+import { cefrSpecs, cefrLevels, PLACEMENT } from '../utils/constants.js';
+import { escapeHtml } from '../utils/sanitize.js';
+
+/**
+ * Placement Test Module
+ * Asks a short series of translation and comprehension items, stepping a
+ * level up after each pass and down after each miss, then recommends a level
+ */
+
+// Base levels the test steps through, easiest first
+const LEVELS = Object.keys(cefrSpecs).map(level => level.toUpperCase());
+
+export class PlacementManager {
+    constructor(geminiAPI) {
+        this.geminiAPI = geminiAPI;
+        this.reset();
+    }
+
+    /**
+     * Clear all test state
+     */
+    reset() {
+        this.sourceLanguage = null;
+        this.targetLanguage = null;
+        this.levelIndex = LEVELS.indexOf(PLACEMENT.startLevel);
+        this.answers = [];
+        this.currentItem = null;
+        this.lastResult = null;
+        this.recommendedLevel = null;
+    }
+
+    /**
+     * Open the placement modal and load the first item.
+     * sourceLanguage is the language being learned, targetLanguage the student's own.
+     */
+    async start(sourceLanguage, targetLanguage) {
+        this.reset();
+        this.sourceLanguage = sourceLanguage;
+        this.targetLanguage = targetLanguage;
+
+        const modal = document.getElementById('placement-modal');
+        if (modal) {
+            modal.style.display = 'flex';
+        }
+
+        await this.loadNextItem();
+    }
+
+    /**
+     * Generate the next item at the current level, alternating item types
+     */
+    async loadNextItem() {
+        const level = LEVELS[this.levelIndex];
+        const type = this.answers.length % 2 === 0 ? 'translation' : 'comprehension';
+
+        this.currentItem = null;
+        this.lastResult = null;
+        this.renderMessage(`⏳ Preparing question ${this.answers.length + 1} of ${PLACEMENT.itemCount}...`);
+
+        try {
+            this.currentItem = await this.geminiAPI.generatePlacementItem(type, level, this.sourceLanguage, this.targetLanguage);
+            this.renderItem();
+        } catch (error) {
+            console.error('Placement item generation error:', error);
+            this.renderMessage(`❌ Could not load the next question: ${error.userMessage || error.message}`, true);
+        }
+    }
+
+    /**
+     * Render the current item
+     */
+    renderItem() {
+        const body = document.getElementById('placement-body');
+        const item = this.currentItem;
+        if (!body || !item) return;
+
+        const itemHtml = item.type === 'comprehension'
+            ? `
+                <div class="placement-instruction">📖 Read the text and answer the question.</div>
+                <div class="placement-passage">${escapeHtml(item.passage)}</div>
+                <div class="placement-question">${escapeHtml(item.question)}</div>
+                <div class="placement-options">
+                    ${item.options.map((option, index) => `
+                        <label class="placement-option">
+                            <input type="radio" name="placement-option" value="${index}">
+                            <span>${escapeHtml(option)}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            `
+            : `
+                <div class="placement-instruction">🔤 Translate into ${this.targetLanguage}.</div>
+                <div class="placement-passage">${escapeHtml(item.sentence)}</div>
+                <textarea id="placement-answer" class="sentence-translation-input" rows="2" placeholder="Type your translation here... (leave blank if you're not sure)"></textarea>
+            `;
+
+        body.innerHTML = `
+            <div class="review-progress">Question ${this.answers.length + 1} of ${PLACEMENT.itemCount}</div>
+            ${itemHtml}
+            <div class="review-actions">
+                <button class="review-show-btn" id="placement-submit-btn" data-action="submit-placement-answer">Submit</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Grade the answer to the current item and step the level
+     */
+    async submitAnswer() {
+        const item = this.currentItem;
+        if (!item || this.lastResult) return;
+
+        const submitBtn = document.getElementById('placement-submit-btn');
+        let result;
+
+        if (item.type === 'comprehension') {
+            const selected = document.querySelector('input[name="placement-option"]:checked');
+            if (!selected) {
+                throw new Error('Please choose an answer');
+            }
+            const correct = Number(selected.value) === item.answerIndex;
+            result = {
+                score: correct ? 1 : 0,
+                feedback: correct ? 'Correct!' : `The answer was: ${item.options[item.answerIndex]}`
+            };
+        } else {
+            const answer = document.getElementById('placement-answer')?.value.trim() || '';
+            if (!answer) {
+                result = { score: 0, feedback: 'Skipped.' };
+            } else {
+                if (submitBtn) {
+                    submitBtn.textContent = '⏳ Checking...';
+                    submitBtn.disabled = true;
+                }
+                result = await this.geminiAPI.gradePlacementTranslation(item.sentence, answer, this.sourceLanguage, this.targetLanguage);
+            }
+        }
+
+        const passed = result.score >= PLACEMENT.passScore;
+        this.answers.push({ level: item.level, type: item.type, score: result.score, passed });
+        this.lastResult = { ...result, passed };
+
+        // Staircase: harder after a pass, easier after a miss
+        this.levelIndex = Math.min(LEVELS.length - 1, Math.max(0, this.levelIndex + (passed ? 1 : -1)));
+
+        this.renderAnswerResult();
+    }
+
+    /**
+     * Show whether the answer passed, with a button to continue
+     */
+    renderAnswerResult() {
+        const actions = document.querySelector('#placement-body .review-actions');
+        if (!actions || !this.lastResult) return;
+
+        const finished = this.answers.length >= PLACEMENT.itemCount;
+        actions.innerHTML = `
+            <div class="placement-result ${this.lastResult.passed ? 'passed' : 'missed'}">
+                ${this.lastResult.passed ? '✅' : '❌'} ${escapeHtml(this.lastResult.feedback)}
+                ${this.lastResult.referenceTranslation ? `<div><em>${escapeHtml(this.lastResult.referenceTranslation)}</em></div>` : ''}
+            </div>
+            <button class="review-show-btn" data-action="next-placement-item">${finished ? 'See My Level' : 'Next Question'}</button>
+        `;
+    }
+
+    /**
+     * Continue to the next item, or finish the test
+     */
+    async next() {
+        if (this.answers.length >= PLACEMENT.itemCount) {
+            this.recommendedLevel = this.computeLevel();
+            this.renderResult();
+            return;
+        }
+
+        await this.loadNextItem();
+    }
+
+    /**
+     * Highest level where the student passed more items than they missed.
+     * If the next level up was a tie, recommend the "+" level in between.
+     */
+    computeLevel() {
+        const tally = LEVELS.map(level => {
+            const answers = this.answers.filter(answer => answer.level === level);
+            const passes = answers.filter(answer => answer.passed).length;
+            return { level, passes, misses: answers.length - passes };
+        });
+
+        let index = -1;
+        tally.forEach((entry, i) => {
+            if (entry.passes > entry.misses) index = i;
+        });
+
+        if (index === -1) return LEVELS[0];
+
+        const next = tally[index + 1];
+        const plusLevel = `${LEVELS[index]}+`;
+        if (next && next.passes > 0 && next.passes === next.misses && cefrLevels.includes(plusLevel)) {
+            return plusLevel;
+        }
+
+        return LEVELS[index];
+    }
+
+    /**
+     * Show the recommended level
+     */
+    renderResult() {
+        const body = document.getElementById('placement-body');
+        if (!body) return;
+
+        const passedCount = this.answers.filter(answer => answer.passed).length;
+        body.innerHTML = `
+            <div class="review-complete">
+                <p>🧭 Your recommended level is</p>
+                <div class="placement-level">${this.recommendedLevel}</div>
+                <p>${cefrSpecs[this.recommendedLevel.replace('+', '').toLowerCase()].description} · ${passedCount} of ${this.answers.length} questions passed</p>
+                <button class="review-done-btn" data-action="apply-placement-result">Start at ${this.recommendedLevel}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Show a status or error message in the modal
+     */
+    renderMessage(message, canRetry = false) {
+        const body = document.getElementById('placement-body');
+        if (!body) return;
+
+        body.innerHTML = `
+            <p class="placement-message">${escapeHtml(message)}</p>
+            ${canRetry ? '<div class="review-actions"><button class="review-show-btn" data-action="load-placement-item">Try Again</button></div>' : ''}
+        `;
+    }
+
+    /**
+     * Close the placement modal
+     */
+    close() {
+        const modal = document.getElementById('placement-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+}
\ No newline at end of file
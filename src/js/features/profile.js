@@ -0,0 +1,328 @@
+import { getAllRecords, getRecord, putRecord } from '../utils/db.js';
+import { createSchedule } from '../utils/srs.js';
+import { loadCustomThemes, saveCustomThemes } from '../utils/story-generator.js';
+import { downloadFile } from '../utils/download.js';
+import { dayKey } from '../utils/date.js';
+import { gradePoints } from '../utils/constants.js';
+import { normalizeErrors } from '../api/gemini.js';
+
+/**
+ * Learner Profile Module
+ * Exports preferences, practice history, flashcards and custom themes as one
+ * versioned JSON file and merges such a file back in on import. API keys and
+ * provider settings are never exported.
+ */
+
+const PROFILE_FORMAT = 'getfluentnow-profile';
+const PREFERENCES_KEY = 'user_preferences';
+const PRACTICE_MODES = ['translation', 'production', 'dictation', 'speaking'];
+
+/**
+ * Profile format upgrades: profileMigrations[n] turns a version n + 1 export
+ * into version n + 2. Append a step whenever the export format changes.
+ */
+const profileMigrations = [];
+
+export const PROFILE_VERSION = profileMigrations.length + 1;
+
+/**
+ * Upgrade a parsed export to the current format version
+ */
+export function migrateProfile(data) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        throw new Error('This file is not a Get Fluent Now profile');
+    }
+    if (data.format !== PROFILE_FORMAT || !Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('This file is not a Get Fluent Now profile');
+    }
+    if (data.version > PROFILE_VERSION) {
+        throw new Error('This profile was exported by a newer version of the app - please update first');
+    }
+
+    let profile = data;
+    for (let version = data.version; version < PROFILE_VERSION; version++) {
+        profile = profileMigrations[version - 1](profile);
+    }
+    return { ...profile, version: PROFILE_VERSION };
+}
+
+/**
+ * String field from an imported record ('' for anything else)
+ */
+function toText(value) {
+    return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Non-negative integer field from an imported record
+ */
+function toCount(value) {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) && number >= 0 ? number : 0;
+}
+
+/**
+ * Sentence feedback as the app itself saves it: strings, numeric indexes,
+ * known grades and taxonomy errors only, since it is rendered as HTML
+ */
+function normalizeSentenceFeedback(sentenceFeedback) {
+    if (!Array.isArray(sentenceFeedback)) return null;
+
+    return sentenceFeedback
+        .filter(item => typeof item === 'object' && item !== null)
+        .map(item => ({
+            sentenceIndex: toCount(item.sentenceIndex),
+            original: toText(item.original),
+            userTranslation: toText(item.userTranslation),
+            referenceTranslation: toText(item.referenceTranslation),
+            feedback: toText(item.feedback),
+            grade: Object.hasOwn(gradePoints, item.grade) ? item.grade : 'C',
+            errors: normalizeErrors(item.errors)
+        }));
+}
+
+/**
+ * Fill fields that sessions saved by older app versions lack and coerce
+ * imported fields to the types the app renders
+ */
+function upgradeSession(session) {
+    if (typeof session?.id !== 'string' || !Array.isArray(session.sentences)) return null;
+
+    const createdAt = Number(session.createdAt) || Date.now();
+    const sourceLanguage = toText(session.sourceLanguage);
+    const targetLanguage = toText(session.targetLanguage);
+    return {
+        miniLesson: null,
+        exerciseResults: null,
+        glosses: null,
+        dictationResults: null,
+        speakingResults: null,
+        pronunciationFeedback: null,
+        ...session,
+        mode: PRACTICE_MODES.includes(session.mode) ? session.mode : 'translation',
+        sourceLanguage,
+        targetLanguage,
+        level: toText(session.level),
+        theme: toText(session.theme),
+        sentences: session.sentences.map(toText),
+        userTranslations: Array.isArray(session.userTranslations) ? session.userTranslations.map(toText) : [],
+        sentenceFeedback: normalizeSentenceFeedback(session.sentenceFeedback),
+        overallFeedback: typeof session.overallFeedback === 'string' ? session.overallFeedback : null,
+        translatedCount: toCount(session.translatedCount),
+        createdAt,
+        updatedAt: Number(session.updatedAt) || createdAt,
+        languagePair: `${sourceLanguage}→${targetLanguage}`
+    };
+}
+
+/**
+ * Fill fields that flashcards saved by older app versions lack
+ */
+function upgradeCard(card) {
+    if (typeof card?.id !== 'string' || typeof card.front !== 'string' || typeof card.back !== 'string') return null;
+
+    const createdAt = Number(card.createdAt) || Date.now();
+    return {
+        ...createSchedule(createdAt),
+        kind: 'vocabulary',
+        example: '',
+        ...card,
+        createdAt,
+        languagePair: `${card.sourceLanguage}→${card.targetLanguage}`
+    };
+}
+
+/**
+ * Key used to spot the same card saved on two devices under different ids
+ */
+function cardKey(card) {
+    return `${card.languagePair}|${card.front.trim().toLowerCase()}`;
+}
+
+/**
+ * Whether an incoming card has seen more review than the stored one
+ */
+function isFurtherReviewed(incoming, existing) {
+    const incomingReviewed = incoming.lastReviewedAt || 0;
+    const existingReviewed = existing.lastReviewedAt || 0;
+    if (incomingReviewed !== existingReviewed) return incomingReviewed > existingReviewed;
+    return (incoming.reviewCount || 0) > (existing.reviewCount || 0);
+}
+
+export class ProfileManager {
+    /**
+     * Collect the full learner profile in the current export format
+     */
+    async buildProfile() {
+        let preferences = null;
+        try {
+            preferences = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || 'null');
+        } catch (error) {
+            console.warn('Could not read preferences for export:', error);
+        }
+
+        return {
+            format: PROFILE_FORMAT,
+            version: PROFILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            preferences,
+            customThemes: loadCustomThemes(),
+            sessions: await getAllRecords('sessions'),
+            flashcards: await getAllRecords('flashcards')
+        };
+    }
+
+    /**
+     * Download the learner profile as a JSON file
+     */
+    async exportProfile() {
+        const profile = await this.buildProfile();
+        downloadFile(`getfluentnow-profile-${dayKey()}.json`, JSON.stringify(profile, null, 2), 'application/json');
+        return profile;
+    }
+
+    /**
+     * Merge an exported profile file into this device's data
+     */
+    async importProfile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('This file is not valid JSON');
+        }
+
+        const profile = migrateProfile(data);
+        const summary = {
+            sessions: await this.mergeSessions(profile.sessions),
+            flashcards: await this.mergeFlashcards(profile.flashcards),
+            preferencesUpdated: this.mergePreferences(profile.preferences),
+            customThemes: this.mergeCustomThemes(profile.customThemes)
+        };
+
+        this.renderSummary(summary);
+        return summary;
+    }
+
+    /**
+     * Add new sessions and replace stored ones the import has newer copies of
+     */
+    async mergeSessions(sessions) {
+        const counts = { added: 0, updated: 0, kept: 0, skipped: 0 };
+
+        for (const record of Array.isArray(sessions) ? sessions : []) {
+            const session = upgradeSession(record);
+            if (!session) {
+                counts.skipped++;
+                continue;
+            }
+
+            const existing = await getRecord('sessions', session.id);
+            if (!existing) {
+                await putRecord('sessions', session);
+                counts.added++;
+            } else if (session.updatedAt > (existing.updatedAt || 0)) {
+                await putRecord('sessions', session);
+                counts.updated++;
+            } else {
+                counts.kept++;
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Add new cards; a card already in the deck (same id, or same front in the
+     * same language pair) keeps whichever copy has been reviewed further
+     */
+    async mergeFlashcards(cards) {
+        const counts = { added: 0, updated: 0, kept: 0, skipped: 0 };
+        const deck = await getAllRecords('flashcards');
+        const byId = new Map(deck.map(card => [card.id, card]));
+        const byKey = new Map(deck.map(card => [cardKey(card), card]));
+
+        for (const record of Array.isArray(cards) ? cards : []) {
+            const card = upgradeCard(record);
+            if (!card) {
+                counts.skipped++;
+                continue;
+            }
+
+            const existing = byId.get(card.id) || byKey.get(cardKey(card));
+            if (!existing) {
+                await putRecord('flashcards', card);
+                byId.set(card.id, card);
+                byKey.set(cardKey(card), card);
+                counts.added++;
+            } else if (isFurtherReviewed(card, existing)) {
+                const merged = {
+                    ...card,
+                    id: existing.id,
+                    createdAt: Math.min(existing.createdAt || card.createdAt, card.createdAt)
+                };
+                await putRecord('flashcards', merged);
+                byId.set(merged.id, merged);
+                byKey.set(cardKey(merged), merged);
+                counts.updated++;
+            } else {
+                counts.kept++;
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Use the imported preferences if they were saved more recently
+     */
+    mergePreferences(preferences) {
+        if (typeof preferences !== 'object' || preferences === null) return false;
+
+        let current = null;
+        try {
+            current = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || 'null');
+        } catch (error) {
+            console.warn('Could not read current preferences:', error);
+        }
+
+        if (current && (preferences.updatedAt || 0) <= (current.updatedAt || 0)) {
+            return false;
+        }
+
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+        return true;
+    }
+
+    /**
+     * Combine imported custom themes with the saved ones
+     */
+    mergeCustomThemes(themes) {
+        const current = loadCustomThemes();
+        const known = new Set(current.map(entry => entry.theme.toLowerCase()));
+        saveCustomThemes([...current, ...(Array.isArray(themes) ? themes : [])]);
+        return loadCustomThemes().filter(entry => !known.has(entry.theme.toLowerCase())).length;
+    }
+
+    /**
+     * Show what an import changed
+     */
+    renderSummary(summary) {
+        const element = document.getElementById('profile-summary');
+        if (!element) return;
+
+        const describe = (counts, noun) => {
+            const parts = [`${counts.added} new`, `${counts.updated} updated`];
+            if (counts.kept) parts.push(`${counts.kept} unchanged`);
+            if (counts.skipped) parts.push(`${counts.skipped} unreadable`);
+            return `${noun}: ${parts.join(', ')}`;
+        };
+
+        element.textContent = [
+            describe(summary.sessions, 'Sessions'),
+            describe(summary.flashcards, 'Flashcards'),
+            `Custom themes: ${summary.customThemes} new`,
+            summary.preferencesUpdated ? 'Preferences: replaced with the imported ones' : 'Preferences: kept yours'
+        ].join(' · ');
+    }
+}
\ No newline at end of file
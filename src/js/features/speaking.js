@@ -0,0 +1,397 @@
+import { languageCodes } from '../utils/constants.js';
+import { scoreTranscription } from '../utils/diff.js';
+import { renderWordSpans, renderWordDiff } from '../utils/text.js';
+import { escapeHtml } from '../utils/sanitize.js';
+
+/**
+ * Speaking Practice Module
+ * Records the learner reading each sentence aloud, compares the recognized
+ * transcript with the original and asks the AI for pronunciation feedback.
+ *
+ * Recognition is pluggable: any object with isSupported(), stop() and
+ * listen(language, { onInterim }) resolving to { transcript, confidence }
+ * can be passed to SpeakingManager in place of the Web Speech recognizer.
+ */
+
+// Friendlier messages for Web Speech recognition error codes
+const recognitionErrors = {
+    'not-allowed': 'Microphone access was denied',
+    'service-not-allowed': 'Speech recognition is not allowed in this browser',
+    'audio-capture': 'No microphone was found',
+    'network': 'Speech recognition needs a network connection',
+    'language-not-supported': 'Speech recognition does not support this language'
+};
+
+/**
+ * Recognizer backed by the browser's Web Speech API
+ */
+export class WebSpeechRecognizer {
+    constructor() {
+        this.recognition = null;
+    }
+
+    /**
+     * Whether the browser supports speech recognition
+     */
+    isSupported() {
+        return typeof window !== 'undefined' &&
+            Boolean(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+
+    /**
+     * Listen for a single utterance. onInterim(text) receives partial results.
+     */
+    listen(language, { onInterim } = {}) {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('Speech recognition is not supported in this browser'));
+        }
+
+        const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+        return new Promise((resolve, reject) => {
+            const recognition = new Recognition();
+            recognition.lang = languageCodes[language] || '';
+            recognition.interimResults = true;
+            recognition.continuous = false;
+            recognition.maxAlternatives = 1;
+
+            let transcript = '';
+            let confidence = null;
+            let failed = false;
+
+            recognition.onresult = (event) => {
+                let finalText = '';
+                let interimText = '';
+                for (let i = 0; i < event.results.length; i++) {
+                    const result = event.results[i];
+                    if (result.isFinal) {
+                        finalText += result[0].transcript;
+                        confidence = result[0].confidence;
+                    } else {
+                        interimText += result[0].transcript;
+                    }
+                }
+                transcript = finalText;
+                if (onInterim) onInterim((finalText + interimText).trim());
+            };
+
+            recognition.onerror = (event) => {
+                // Silence and manual stops just end with whatever was heard
+                if (event.error === 'no-speech' || event.error === 'aborted') return;
+                failed = true;
+                reject(new Error(recognitionErrors[event.error] || `Speech recognition error: ${event.error}`));
+            };
+
+            recognition.onend = () => {
+                this.recognition = null;
+                if (!failed) resolve({ transcript: transcript.trim(), confidence });
+            };
+
+            this.recognition = recognition;
+            recognition.start();
+        });
+    }
+
+    /**
+     * Stop listening; the pending listen() resolves with what was heard so far
+     */
+    stop() {
+        if (this.recognition) {
+            this.recognition.stop();
+        }
+    }
+}
+
+export class SpeakingManager {
+    constructor(speechManager, recognizer = new WebSpeechRecognizer()) {
+        this.speechManager = speechManager;
+        this.recognizer = recognizer;
+        this.geminiAPI = null;
+        this.currentSentences = [];
+        this.attempts = [];
+        this.isRecording = false;
+    }
+
+    /**
+     * Swap in a different speech recognizer
+     */
+    setRecognizer(recognizer) {
+        this.recognizer = recognizer;
+    }
+
+    /**
+     * Whether speaking practice can run with the current recognizer
+     */
+    isSupported() {
+        return this.recognizer.isSupported();
+    }
+
+    /**
+     * Set the sentences to practice and forget previous recordings
+     */
+    setCurrentSentences(sentences) {
+        this.currentSentences = sentences;
+        this.attempts = sentences.map(() => null);
+    }
+
+    /**
+     * Show the speaking section with a fresh set of recorders
+     */
+    showSpeakingSection() {
+        const section = document.getElementById('speaking-section');
+        if (!section) return;
+
+        section.style.display = 'block';
+        this.generateSpeakingInterface(this.currentSentences);
+
+        const feedback = document.getElementById('pronunciation-feedback-output');
+        if (feedback) {
+            feedback.innerHTML = '';
+            feedback.classList.remove('has-content');
+        }
+    }
+
+    /**
+     * Hide the speaking section, stopping any recording
+     */
+    hideSpeakingSection() {
+        this.stopRecording();
+
+        const section = document.getElementById('speaking-section');
+        if (section) {
+            section.style.display = 'none';
+        }
+    }
+
+    /**
+     * Generate one sentence card with listen and record buttons per sentence
+     */
+    generateSpeakingInterface(sentences) {
+        const container = document.getElementById('speaking-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        sentences.forEach((sentence, index) => {
+            const item = document.createElement('div');
+            item.className = 'sentence-pair speaking-item';
+
+            item.innerHTML = `
+                <div class="sentence-original">
+                    <span class="sentence-number">
+                        Sentence ${index + 1}:
+                        <button class="play-sentence-btn" data-action="speak-sentence" data-index="${index}" title="Listen">🔊</button>
+                    </span>
+                    <span class="sentence-text" id="speaking-text-${index}"></span>
+                </div>
+                <div class="speaking-controls">
+                    <button class="record-btn" data-action="record-sentence" data-index="${index}">🎙️ Record</button>
+                    <span class="speaking-transcript" id="speaking-transcript-${index}"></span>
+                </div>
+                <div class="speaking-result" id="speaking-result-${index}" style="display: none;"></div>
+            `;
+            renderWordSpans(item.querySelector('.sentence-text'), sentence);
+
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Record the learner reading a sentence and score the transcript
+     */
+    async recordSentence(index, language, button) {
+        const sentence = this.currentSentences[index];
+        if (!sentence) return null;
+
+        const transcriptElement = document.getElementById(`speaking-transcript-${index}`);
+
+        this.isRecording = true;
+        button.dataset.label = button.textContent;
+        button.textContent = '⏹️ Stop';
+        button.classList.add('recording');
+        if (transcriptElement) transcriptElement.textContent = 'Listening...';
+
+        let result;
+        try {
+            result = await this.recognizer.listen(language, {
+                onInterim: (text) => {
+                    if (transcriptElement) transcriptElement.textContent = text;
+                }
+            });
+        } finally {
+            this.isRecording = false;
+            button.textContent = button.dataset.label || '🎙️ Record';
+            button.classList.remove('recording');
+        }
+
+        if (!result.transcript) {
+            if (transcriptElement) transcriptElement.textContent = '';
+            throw new Error("Didn't catch that - try recording again");
+        }
+
+        this.attempts[index] = this.scoreAttempt(sentence, result.transcript, result.confidence);
+        this.displayAttempt(index);
+        return this.attempts[index];
+    }
+
+    /**
+     * Stop the recording in progress
+     */
+    stopRecording() {
+        if (this.isRecording) {
+            this.recognizer.stop();
+        }
+    }
+
+    /**
+     * Compare a transcript with its sentence
+     */
+    scoreAttempt(sentence, transcript, confidence = null) {
+        const score = scoreTranscription(sentence, transcript);
+        return {
+            transcript,
+            confidence,
+            characterAccuracy: score.characterAccuracy,
+            wordAccuracy: score.wordAccuracy,
+            correctWords: score.correctWords,
+            totalWords: score.totalWords,
+            words: score.words
+        };
+    }
+
+    /**
+     * Show the transcript, scores and diff for a sentence and
+     * highlight the words that weren't recognized
+     */
+    displayAttempt(index) {
+        const attempt = this.attempts[index];
+        if (!attempt) return;
+
+        const transcriptElement = document.getElementById(`speaking-transcript-${index}`);
+        if (transcriptElement) {
+            transcriptElement.textContent = `Heard: "${attempt.transcript}"`;
+        }
+
+        const sentenceElement = document.getElementById(`speaking-text-${index}`);
+        if (sentenceElement) {
+            const wordSpans = sentenceElement.querySelectorAll('.story-word');
+            wordSpans.forEach(span => {
+                span.classList.remove('mismatched-word');
+                span.removeAttribute('title');
+            });
+            attempt.words.forEach(part => {
+                const span = wordSpans[part.index];
+                if (!span || (part.type !== 'missing' && part.type !== 'substitution')) return;
+                span.classList.add('mismatched-word');
+                span.title = part.type === 'missing' ? 'Not heard' : `Heard "${part.actual}"`;
+            });
+        }
+
+        const resultElement = document.getElementById(`speaking-result-${index}`);
+        if (resultElement) {
+            resultElement.style.display = 'block';
+            resultElement.innerHTML = '';
+
+            const scores = document.createElement('div');
+            scores.className = 'dictation-scores';
+            scores.textContent = `Words recognized: ${this.formatPercent(attempt.wordAccuracy)} (${attempt.correctWords}/${attempt.totalWords}) · Characters: ${this.formatPercent(attempt.characterAccuracy)}`;
+            resultElement.appendChild(scores);
+
+            const diff = document.createElement('div');
+            diff.className = 'dictation-diff';
+            renderWordDiff(diff, attempt.words, { actualLabel: 'Heard' });
+            resultElement.appendChild(diff);
+        }
+    }
+
+    /**
+     * Restore stored recordings (transcripts are re-scored for display)
+     */
+    setAttempts(records = []) {
+        records.forEach((record, index) => {
+            if (!record || !this.currentSentences[index]) return;
+            this.attempts[index] = this.scoreAttempt(this.currentSentences[index], record.transcript, record.confidence);
+            this.displayAttempt(index);
+        });
+    }
+
+    /**
+     * Ask the AI for pronunciation and fluency feedback on the mismatched words
+     */
+    async getPronunciationFeedback(language) {
+        const attempts = this.attempts
+            .map((attempt, index) => attempt && {
+                sentence: this.currentSentences[index],
+                transcript: attempt.transcript,
+                confidence: attempt.confidence,
+                mismatches: attempt.words
+                    .filter(part => part.type === 'missing' || part.type === 'substitution')
+                    .map(part => ({
+                        expected: part.type === 'missing' ? part.text : part.expected,
+                        heard: part.actual || ''
+                    }))
+            })
+            .filter(Boolean);
+
+        if (attempts.length === 0) {
+            throw new Error('Please record at least one sentence first');
+        }
+
+        return await this.geminiAPI.getPronunciationFeedback(attempts, language);
+    }
+
+    /**
+     * Display pronunciation feedback from the AI
+     */
+    displayPronunciationFeedback(feedback) {
+        const output = document.getElementById('pronunciation-feedback-output');
+        if (!output) return;
+
+        const score = Math.min(5, Math.max(1, Math.round(feedback.fluencyScore || 1)));
+        const wordTipsHtml = (feedback.wordTips || []).map(item => `
+            <div class="word-tip">
+                <strong>${escapeHtml(item.word)}</strong>${item.heardAs ? ` <span class="word-tip-heard">(heard "${escapeHtml(item.heardAs)}")</span>` : ''}
+                <div>${escapeHtml(item.tip)}</div>
+            </div>
+        `).join('');
+        const practiceTipsHtml = (feedback.practiceTips || []).map(tip => `<li>${escapeHtml(tip)}</li>`).join('');
+
+        output.classList.add('has-content');
+        output.innerHTML = `
+            <h4>🗣️ Pronunciation Feedback</h4>
+            <p class="fluency-score">Fluency: ${'★'.repeat(score)}${'☆'.repeat(5 - score)}</p>
+            <p>${escapeHtml(feedback.overallFeedback)}</p>
+            ${wordTipsHtml ? `<div class="word-tips">${wordTipsHtml}</div>` : ''}
+            ${practiceTipsHtml ? `<h5>💡 Practice Tips</h5><ul>${practiceTipsHtml}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Summarize recordings for storage with a session
+     */
+    toSessionRecord() {
+        const attempted = this.attempts.filter(Boolean);
+        const average = (key) => attempted.length === 0
+            ? 0
+            : attempted.reduce((sum, attempt) => sum + attempt[key], 0) / attempted.length;
+
+        return {
+            sentences: this.attempts.map(attempt => attempt && {
+                transcript: attempt.transcript,
+                confidence: attempt.confidence,
+                characterAccuracy: attempt.characterAccuracy,
+                wordAccuracy: attempt.wordAccuracy
+            }),
+            attemptedCount: attempted.length,
+            characterAccuracy: average('characterAccuracy'),
+            wordAccuracy: average('wordAccuracy')
+        };
+    }
+
+    /**
+     * Format a 0-1 score as a percentage
+     */
+    formatPercent(value) {
+        return `${Math.round((value || 0) * 100)}%`;
+    }
+}
\ No newline at end of file
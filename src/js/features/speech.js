@@ -0,0 +1,178 @@
+import { languageCodes, languageNames, DEFAULT_SETTINGS } from '../utils/constants.js';
+
+/**
+ * Speech Features Module
+ * Reads stories and sentences aloud with the Web Speech API and
+ * highlights the word currently being spoken
+ */
+
+export class SpeechManager {
+    constructor() {
+        this.rate = DEFAULT_SETTINGS.speechRate;
+        this.voices = [];
+        this.currentUtterance = null;
+        this.activeElement = null;
+        this.activeButton = null;
+
+        if (this.isSupported()) {
+            this.loadVoices();
+            // Most browsers load voices asynchronously
+            speechSynthesis.addEventListener('voiceschanged', () => this.loadVoices());
+        }
+    }
+
+    /**
+     * Whether the browser supports speech synthesis
+     */
+    isSupported() {
+        return typeof window !== 'undefined' &&
+            'speechSynthesis' in window &&
+            typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    /**
+     * Refresh the list of available voices
+     */
+    loadVoices() {
+        this.voices = speechSynthesis.getVoices();
+    }
+
+    /**
+     * Pick the best voice for a language: exact locale, then same language, then by name
+     */
+    findVoice(language) {
+        const code = languageCodes[language];
+        if (!code) return null;
+
+        const baseCode = code.split('-')[0].toLowerCase();
+        const voiceLang = (voice) => voice.lang.replace('_', '-').toLowerCase();
+        const nativeName = (languageNames[language] || '').toLowerCase();
+
+        return this.voices.find(voice => voiceLang(voice) === code.toLowerCase())
+            || this.voices.find(voice => voiceLang(voice).split('-')[0] === baseCode)
+            || this.voices.find(voice => {
+                const name = voice.name.toLowerCase();
+                return name.includes(language.toLowerCase()) || (nativeName && name.includes(nativeName));
+            })
+            || null;
+    }
+
+    /**
+     * Set the playback speed (0.5 - 1.5)
+     */
+    setRate(rate) {
+        this.rate = Math.min(1.5, Math.max(0.5, Number(rate) || DEFAULT_SETTINGS.speechRate));
+    }
+
+    /**
+     * Whether something is currently being read aloud
+     */
+    isSpeaking() {
+        return this.currentUtterance !== null;
+    }
+
+    /**
+     * Read text aloud. If element holds the text rendered with word spans,
+     * the spoken word is highlighted. Resolves when playback ends or is stopped.
+     */
+    speak(text, language, { element = null, button = null } = {}) {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('Speech synthesis is not supported in this browser'));
+        }
+
+        this.stop();
+
+        return new Promise((resolve) => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = languageCodes[language] || '';
+            utterance.rate = this.rate;
+
+            const voice = this.findVoice(language);
+            if (voice) {
+                utterance.voice = voice;
+            }
+
+            utterance.onboundary = (event) => {
+                if (event.name === 'word' && utterance === this.currentUtterance) {
+                    this.highlightWord(event.charIndex);
+                }
+            };
+
+            const finish = () => {
+                if (utterance === this.currentUtterance) {
+                    this.resetPlaybackState();
+                }
+                resolve();
+            };
+            utterance.onend = finish;
+            utterance.onerror = finish;
+
+            this.currentUtterance = utterance;
+            this.activeElement = element;
+            this.activeButton = button;
+            if (button) {
+                button.dataset.label = button.textContent;
+                button.textContent = button.dataset.stopLabel || '⏹️';
+                button.classList.add('speaking');
+            }
+
+            speechSynthesis.speak(utterance);
+        });
+    }
+
+    /**
+     * Stop any current playback
+     */
+    stop() {
+        if (!this.isSupported()) return;
+
+        const wasSpeaking = this.currentUtterance !== null;
+        this.resetPlaybackState();
+        if (wasSpeaking || speechSynthesis.speaking) {
+            speechSynthesis.cancel();
+        }
+    }
+
+    /**
+     * Highlight the word span containing the given character offset
+     */
+    highlightWord(charIndex) {
+        if (!this.activeElement) return;
+
+        this.clearHighlight();
+        const words = this.activeElement.querySelectorAll('.story-word');
+        for (const word of words) {
+            if (charIndex >= Number(word.dataset.start) && charIndex < Number(word.dataset.end)) {
+                word.classList.add('speaking-word');
+                break;
+            }
+        }
+    }
+
+    /**
+     * Remove the spoken-word highlight
+     */
+    clearHighlight() {
+        if (!this.activeElement) return;
+
+        this.activeElement.querySelectorAll('.speaking-word').forEach(word => {
+            word.classList.remove('speaking-word');
+        });
+    }
+
+    /**
+     * Clear highlight and restore the play button
+     */
+    resetPlaybackState() {
+        this.clearHighlight();
+
+        if (this.activeButton) {
+            this.activeButton.textContent = this.activeButton.dataset.label || '🔊';
+            this.activeButton.classList.remove('speaking');
+        }
+
+        this.currentUtterance = null;
+        this.activeElement = null;
+        this.activeButton = null;
+    }
+}
\ No newline at end of file
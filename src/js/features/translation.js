@@ -1,3 +1,9 @@
+import { extractPartialJsonString } from '../api/stream.js';
+import { renderWordSpans } from '../utils/text.js';
+import { escapeHtml, renderMarkdown } from '../utils/sanitize.js';
+import { errorCategories } from '../utils/constants.js';
+import { AIServiceError } from '../api/errors.js';
+
 /**
  * Translation Features Module
  * Handles translation functionality and feedback display
@@ -9,6 +15,8 @@ export class TranslationManager {
         this.currentStory = null;
         this.currentSentences = [];
         this.referenceTranslation = null;
+        this.currentLesson = null;
+        this.answerLanguage = null;
     }
 
     /**
@@ -21,10 +29,12 @@ export class TranslationManager {
 
     /**
      * Set structured sentences for sentence-by-sentence translation
+     * (answerLanguage names the language to write in for production practice)
      */
-    setCurrentSentences(sentences) {
+    setCurrentSentences(sentences, { answerLanguage = null } = {}) {
         this.currentSentences = sentences;
         this.currentStory = sentences.join(' ');
+        this.answerLanguage = answerLanguage;
     }
 
     /**
@@ -66,6 +76,7 @@ export class TranslationManager {
 
         } catch (error) {
             console.error('Translation processing error:', error);
+            if (error instanceof AIServiceError) throw error;
             throw new Error(`Failed to process translation: ${error.message}`);
         }
     }
@@ -89,6 +100,7 @@ export class TranslationManager {
             return lesson;
         } catch (error) {
             console.error('Mini lesson generation error:', error);
+            if (error instanceof AIServiceError) throw error;
             throw new Error(`Failed to generate lesson: ${error.message}`);
         }
     }
@@ -111,72 +123,113 @@ export class TranslationManager {
             return lesson;
         } catch (error) {
             console.error('Sentence mini lesson generation error:', error);
+            if (error instanceof AIServiceError) throw error;
             throw new Error(`Failed to generate lesson: ${error.message}`);
         }
     }
 
     /**
      * Process sentence-by-sentence translations
+     * (options.onProgress / options.signal stream and cancel the grading request)
      */
-    async processSentenceTranslations(sourceLanguage, targetLanguage) {
+    async processSentenceTranslations(sourceLanguage, targetLanguage, options = {}) {
         if (!this.currentSentences || this.currentSentences.length === 0) {
             throw new Error('No sentences available for translation');
         }
 
         // Collect user translations from the UI
-        const userTranslations = [];
-        for (let i = 0; i < this.currentSentences.length; i++) {
-            const input = document.getElementById(`sentence-translation-${i}`);
-            userTranslations.push(input ? input.value.trim() : '');
-        }
+        const userTranslations = this.collectSentenceTranslations();
 
         try {
             const result = await this.geminiAPI.rateSentenceTranslations(
                 this.currentSentences,
                 userTranslations,
                 sourceLanguage,
-                targetLanguage
+                targetLanguage,
+                options
             );
 
             return result;
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             console.error('Sentence translation processing error:', error);
+            if (error instanceof AIServiceError) throw error;
             throw new Error(`Failed to process translations: ${error.message}`);
         }
     }
 
+    /**
+     * Read the current translation for each sentence from the UI
+     */
+    collectSentenceTranslations() {
+        return this.currentSentences.map((sentence, index) => {
+            const input = document.getElementById(`sentence-translation-${index}`);
+            return input ? input.value.trim() : '';
+        });
+    }
+
+    /**
+     * Fill the sentence inputs with previously saved translations
+     */
+    setSentenceTranslations(translations = []) {
+        translations.forEach((translation, index) => {
+            const input = document.getElementById(`sentence-translation-${index}`);
+            if (input) input.value = translation || '';
+        });
+    }
+
+    /**
+     * Show grading progress while the feedback response streams in
+     */
+    displayStreamingFeedback(feedbackElement, partialResponse) {
+        if (!feedbackElement) return;
+
+        const gradedCount = (partialResponse.match(/"grade"\s*:/g) || []).length;
+        const overallFeedback = extractPartialJsonString(partialResponse, 'overallFeedback');
+        const formattedOverall = overallFeedback ? renderMarkdown(overallFeedback) : '';
+
+        feedbackElement.innerHTML = `
+            <div class="feedback-content streaming-feedback">
+                <p class="streaming-progress">⏳ Graded ${gradedCount} sentence${gradedCount === 1 ? '' : 's'} so far...</p>
+                ${formattedOverall ? `
+                    <div class="overall-feedback">
+                        <h4>📊 Overall Performance</h4>
+                        ${formattedOverall}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Display sentence translation feedback in the UI
      */
     displaySentenceFeedback(feedbackElement, result) {
         if (!feedbackElement) return;
 
-        const overallFeedback = (typeof marked !== 'undefined' && marked.parse) 
-            ? marked.parse(result.overallFeedback) 
-            : result.overallFeedback;
+        const overallFeedback = renderMarkdown(result.overallFeedback);
 
         let sentenceFeedbackHtml = '';
         result.sentenceFeedback.forEach((item, index) => {
-            const feedback = (typeof marked !== 'undefined' && marked.parse) 
-                ? marked.parse(item.feedback) 
-                : item.feedback;
+            const feedback = renderMarkdown(item.feedback);
 
-            // Get grade with proper styling
-            const grade = item.grade || 'C'; // Default to C if no grade provided
+            // Get grade with proper styling (default to C if no known grade provided)
+            const grade = ['A', 'B', 'C', 'D', 'F'].includes(item.grade) ? item.grade : 'C';
             const gradeClass = `grade-${grade.toLowerCase()}`;
             const gradeHtml = `<span class="grade ${gradeClass}">${grade}</span>`;
 
             sentenceFeedbackHtml += `
                 <div class="sentence-feedback-item">
-                    <h5>Sentence ${item.sentenceIndex + 1} ${gradeHtml}</h5>
+                    <h5>Sentence ${escapeHtml(Number(item.sentenceIndex) + 1)} ${gradeHtml}</h5>
                     <div class="sentence-feedback-original">
-                        <strong>Original:</strong> <em>"${item.original}"</em>
+                        <strong>Original:</strong> <em>"${escapeHtml(item.original)}"</em>
                     </div>
                     <div class="sentence-feedback-user">
-                        <strong>Your translation:</strong> "${item.userTranslation}"
+                        <strong>Your translation:</strong> "${this.highlightErrorSpans(item.userTranslation, item.errors)}"
                     </div>
+                    ${this.renderErrorList(item.errors)}
                     <div class="sentence-feedback-reference">
-                        <strong>Reference:</strong> <em>"${item.referenceTranslation}"</em>
+                        <strong>Reference:</strong> <em>"${escapeHtml(item.referenceTranslation)}"</em>
                     </div>
                     <div class="sentence-feedback-content">
                         ${feedback}
@@ -189,7 +242,8 @@ export class TranslationManager {
             <div class="feedback-content">
                 <div class="overall-feedback">
                     <h4>📊 Overall Performance</h4>
-                    <p><strong>Translated:</strong> ${result.translatedCount} out of ${result.totalSentences} sentences</p>
+                    <p><strong>Translated:</strong> ${escapeHtml(result.translatedCount)} out of ${escapeHtml(result.totalSentences)} sentences</p>
+                    ${this.renderErrorSummary(result.sentenceFeedback)}
                     ${overallFeedback}
                 </div>
                 <div class="sentence-feedback">
@@ -203,6 +257,75 @@ export class TranslationManager {
         this.showResultsTabs('feedback');
     }
 
+    /**
+     * Underline each error's span inside the user's translation
+     * (spans the model didn't copy exactly are listed but not underlined)
+     */
+    highlightErrorSpans(translation, errors = []) {
+        const lowerTranslation = translation.toLowerCase();
+        const ranges = [];
+
+        errors.forEach(error => {
+            const span = error.span.toLowerCase();
+            let start = lowerTranslation.indexOf(span);
+            // Use the first occurrence that doesn't overlap an earlier error
+            while (start !== -1 && ranges.some(range => start < range.end && start + span.length > range.start)) {
+                start = lowerTranslation.indexOf(span, start + 1);
+            }
+            if (start !== -1) {
+                ranges.push({ start, end: start + span.length, error });
+            }
+        });
+
+        ranges.sort((a, b) => a.start - b.start);
+
+        let html = '';
+        let cursor = 0;
+        ranges.forEach(({ start, end, error }) => {
+            const title = escapeHtml(`${errorCategories[error.category]}: ${error.correction}`);
+            html += escapeHtml(translation.slice(cursor, start));
+            html += `<span class="error-span error-${escapeHtml(error.category)}" title="${title}">${escapeHtml(translation.slice(start, end))}</span>`;
+            cursor = end;
+        });
+
+        return html + escapeHtml(translation.slice(cursor));
+    }
+
+    /**
+     * List a sentence's errors with their category and correction
+     */
+    renderErrorList(errors = []) {
+        if (errors.length === 0) return '';
+
+        const items = errors.map(error => `
+            <li>
+                <span class="error-category error-${escapeHtml(error.category)}">${escapeHtml(errorCategories[error.category])}</span>
+                <span class="error-original">${escapeHtml(error.span)}</span> → <strong>${escapeHtml(error.correction)}</strong>
+            </li>
+        `).join('');
+
+        return `<ul class="sentence-error-list">${items}</ul>`;
+    }
+
+    /**
+     * Count errors per category across all graded sentences
+     */
+    renderErrorSummary(sentenceFeedback = []) {
+        const counts = {};
+        sentenceFeedback.forEach(item => {
+            (item.errors || []).forEach(error => {
+                counts[error.category] = (counts[error.category] || 0) + 1;
+            });
+        });
+
+        const chips = Object.keys(errorCategories)
+            .filter(category => counts[category])
+            .map(category => `<span class="error-category error-${category}">${errorCategories[category]} ×${counts[category]}</span>`)
+            .join(' ');
+
+        return chips ? `<p class="error-summary"><strong>Errors by type:</strong> ${chips}</p>` : '';
+    }
+
     /**
      * Display translation feedback in the UI
      */
@@ -210,15 +333,13 @@ export class TranslationManager {
         if (!feedbackElement) return;
 
         // Parse and format the feedback using Marked for markdown rendering
-        const formattedFeedback = (typeof marked !== 'undefined' && marked.parse) 
-            ? marked.parse(result.feedback) 
-            : result.feedback;
+        const formattedFeedback = renderMarkdown(result.feedback);
         
         feedbackElement.innerHTML = `
             <div class="feedback-content">
                 <div class="reference-translation">
                     <h4>📖 Reference Translation</h4>
-                    <p><em>${result.referenceTranslation}</em></p>
+                    <p><em>${escapeHtml(result.referenceTranslation)}</em></p>
                 </div>
                 <div class="ai-feedback">
                     <h4>🎯 AI Feedback</h4>
@@ -238,14 +359,14 @@ export class TranslationManager {
         const lessonElement = document.getElementById('lesson-output');
         if (!lessonElement) return;
 
+        this.currentLesson = lesson;
+
         // Check if lesson is structured JSON or plain text
         if (typeof lesson === 'object' && lesson.title) {
             this.displayStructuredMiniLesson(lesson, lessonElement);
         } else {
             // Fallback to simple text lesson
-            const formattedLesson = (typeof marked !== 'undefined' && marked.parse) 
-                ? marked.parse(lesson) 
-                : lesson;
+            const formattedLesson = renderMarkdown(lesson);
             
             lessonElement.innerHTML = `
                 <div class="mini-lesson-content">
@@ -260,23 +381,25 @@ export class TranslationManager {
     }
 
     /**
-     * Display structured mini lesson with interactive exercises
+     * Display structured mini lesson; the exercise widgets are filled in by ExerciseManager
      */
     displayStructuredMiniLesson(lesson, lessonElement) {
         // Generate vocabulary HTML
-        const vocabularyHtml = lesson.vocabulary.map(vocab => `
+        const vocabularyHtml = lesson.vocabulary.map((vocab, index) => `
             <div class="vocabulary-item">
-                <strong>${vocab.word}</strong> - ${vocab.meaning}
-                <div class="vocabulary-example"><em>${vocab.example}</em></div>
+                <strong>${escapeHtml(vocab.word)}</strong> - ${escapeHtml(vocab.meaning)}
+                <div class="vocabulary-example"><em>${escapeHtml(vocab.example)}</em></div>
+                <button class="save-card-btn" data-action="save-lesson-card" data-kind="vocabulary" data-index="${index}">➕ Save to deck</button>
             </div>
         `).join('');
 
         // Generate mistakes HTML
-        const mistakesHtml = lesson.commonMistakes.map(mistake => `
+        const mistakesHtml = lesson.commonMistakes.map((mistake, index) => `
             <div class="mistake-item">
-                <div class="mistake-pattern">❌ ${mistake.mistake}</div>
-                <div class="mistake-correction">✅ ${mistake.correction}</div>
-                <div class="mistake-example"><em>${mistake.example}</em></div>
+                <div class="mistake-pattern">❌ ${escapeHtml(mistake.mistake)}</div>
+                <div class="mistake-correction">✅ ${escapeHtml(mistake.correction)}</div>
+                <div class="mistake-example"><em>${escapeHtml(mistake.example)}</em></div>
+                <button class="save-card-btn" data-action="save-lesson-card" data-kind="mistake" data-index="${index}">➕ Save to deck</button>
             </div>
         `).join('');
 
@@ -284,31 +407,23 @@ export class TranslationManager {
         const exercisesHtml = lesson.exercises.map((exercise, index) => `
             <div class="exercise-item" data-exercise-id="${index}">
                 <div class="exercise-header">
-                    <h5>Exercise ${index + 1}: ${exercise.type.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase())}</h5>
-                </div>
-                <div class="exercise-instruction">${exercise.instruction}</div>
-                <div class="exercise-question">${exercise.question}</div>
-                <div class="exercise-answer-section">
-                    <button class="show-answer-btn" onclick="app.toggleExerciseAnswer(${index})">
-                        Show Answer
-                    </button>
-                    <div class="exercise-answer" id="exercise-answer-${index}" style="display: none;">
-                        <div class="answer-text"><strong>Answer:</strong> ${exercise.answer}</div>
-                        <div class="answer-explanation"><strong>Explanation:</strong> ${exercise.explanation}</div>
-                    </div>
+                    <h5>Exercise ${index + 1}: ${escapeHtml(exercise.type.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()))}</h5>
                 </div>
+                <div class="exercise-instruction">${escapeHtml(exercise.instruction)}</div>
+                <div class="exercise-question">${escapeHtml(exercise.question)}</div>
+                <div class="exercise-answer-section" id="exercise-widget-${index}"></div>
             </div>
         `).join('');
 
         lessonElement.innerHTML = `
             <div class="structured-mini-lesson">
                 <div class="lesson-header">
-                    <h4>📚 ${lesson.title}</h4>
+                    <h4>📚 ${escapeHtml(lesson.title)}</h4>
                 </div>
                 
                 <div class="lesson-section grammar-section">
                     <h5>📖 Grammar Focus</h5>
-                    <p>${lesson.grammarFocus}</p>
+                    <p>${escapeHtml(lesson.grammarFocus)}</p>
                 </div>
                 
                 <div class="lesson-section vocabulary-section">
@@ -327,6 +442,7 @@ export class TranslationManager {
                 
                 <div class="lesson-section exercises-section">
                     <h5>💪 Practice Exercises</h5>
+                    <p id="exercise-score"></p>
                     <div class="exercises-list">
                         ${exercisesHtml}
                     </div>
@@ -350,16 +466,20 @@ export class TranslationManager {
             
             sentencePair.innerHTML = `
                 <div class="sentence-original">
-                    <span class="sentence-number">Sentence ${index + 1}:</span>
-                    ${sentence}
+                    <span class="sentence-number">
+                        Sentence ${index + 1}:
+                        <button class="play-sentence-btn" data-action="speak-sentence" data-index="${index}" title="Listen">🔊</button>
+                    </span>
+                    <span class="sentence-text" id="sentence-text-${index}"></span>
                 </div>
                 <textarea 
                     id="sentence-translation-${index}"
                     class="sentence-translation-input" 
-                    placeholder="Type your translation here..."
+                    placeholder="${this.answerLanguage ? `Write it in ${this.answerLanguage}...` : 'Type your translation here...'}"
                     rows="2"
                 ></textarea>
             `;
+            renderWordSpans(sentencePair.querySelector('.sentence-text'), sentence);
             
             container.appendChild(sentencePair);
         });
@@ -372,6 +492,7 @@ export class TranslationManager {
         this.currentStory = null;
         this.currentSentences = [];
         this.referenceTranslation = null;
+        this.currentLesson = null;
     }
 
     /**
@@ -406,13 +527,18 @@ export class TranslationManager {
     }
 
     /**
-     * Hide translation section in UI
+     * Hide translation section in UI (its inputs are rebuilt when shown again)
      */
     hideTranslationSection() {
         const section = document.getElementById('translation-section');
         if (section) {
             section.style.display = 'none';
         }
+
+        const container = document.getElementById('sentence-translation-container');
+        if (container) {
+            container.innerHTML = '';
+        }
     }
 
     /**
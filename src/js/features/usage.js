@@ -0,0 +1,186 @@
+import { getAllRecords, putRecord, clearStore, generateId } from '../utils/db.js';
+import { geminiModels, modelPricing, usageFeatures } from '../utils/constants.js';
+import { dayKey } from '../utils/date.js';
+
+/**
+ * Token Usage Module
+ * Records the tokens of every API call, tagged by feature, and shows
+ * per-day and per-feature totals with an estimated cost
+ */
+
+// Days shown in the per-day table
+const DAYS_SHOWN = 14;
+
+/**
+ * Estimated cost in USD of some tokens on a Gemini model, or null if unpriced
+ */
+function estimateCost(model, inputTokens, outputTokens) {
+    const pricing = modelPricing[model];
+    if (!pricing) return null;
+    return (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+}
+
+/**
+ * Format a USD amount, keeping precision for small sums
+ */
+function formatCost(cost) {
+    if (cost === null) return '—';
+    return `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+export class UsageManager {
+    constructor() {
+        this.isOpen = false;
+    }
+
+    /**
+     * Store the token usage of one API call
+     */
+    async record({ feature = 'other', provider, model, inputTokens = 0, outputTokens = 0 }) {
+        try {
+            await putRecord('usage', {
+                id: generateId(),
+                feature: usageFeatures[feature] ? feature : 'other',
+                provider,
+                model,
+                inputTokens,
+                outputTokens,
+                createdAt: new Date().toISOString()
+            });
+            if (this.isOpen) {
+                await this.renderUsagePanel();
+            }
+        } catch (error) {
+            console.warn('Could not record token usage:', error);
+        }
+    }
+
+    /**
+     * Sum usage records into totals per group key
+     */
+    totalsBy(records, getKey) {
+        const totals = {};
+        records.forEach(record => {
+            const key = getKey(record);
+            const cost = record.provider === 'gemini' ? estimateCost(record.model, record.inputTokens, record.outputTokens) : null;
+            totals[key] = totals[key] || { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+            totals[key].requests++;
+            totals[key].inputTokens += record.inputTokens;
+            totals[key].outputTokens += record.outputTokens;
+            if (cost === null) {
+                totals[key].unpriced++;
+            } else {
+                totals[key].cost += cost;
+            }
+        });
+        return totals;
+    }
+
+    /**
+     * Toggle the usage panel, refreshing it when it opens
+     */
+    async toggleUsagePanel() {
+        const panel = document.getElementById('usage-panel');
+        const toggle = document.getElementById('usage-toggle-btn');
+        if (!panel) return;
+
+        this.isOpen = !this.isOpen;
+        panel.style.display = this.isOpen ? 'block' : 'none';
+        if (toggle) {
+            toggle.textContent = this.isOpen ? 'Hide Usage' : 'Show Usage';
+        }
+
+        if (this.isOpen) {
+            await this.renderUsagePanel();
+        }
+    }
+
+    /**
+     * Render totals, per-feature and per-day tables and the per-model estimate
+     */
+    async renderUsagePanel() {
+        const panel = document.getElementById('usage-panel');
+        if (!panel) return;
+
+        let records;
+        try {
+            records = await getAllRecords('usage', 'createdAt');
+        } catch (error) {
+            console.error('Could not load token usage:', error);
+            panel.innerHTML = '<p class="history-empty">Usage tracking is unavailable in this browser.</p>';
+            return;
+        }
+
+        if (records.length === 0) {
+            panel.innerHTML = '<p class="history-empty">No API calls recorded yet.</p>';
+            return;
+        }
+
+        const total = this.totalsBy(records, () => 'all').all;
+        const byFeature = this.totalsBy(records, record => record.feature);
+        const byDay = this.totalsBy(records, record => dayKey(record.createdAt));
+        const days = Object.keys(byDay).sort().reverse().slice(0, DAYS_SHOWN);
+
+        panel.innerHTML = `
+            <div class="analytics-summary">
+                <div class="analytics-stat"><span class="analytics-stat-value">${total.requests.toLocaleString()}</span>API calls</div>
+                <div class="analytics-stat"><span class="analytics-stat-value">${(total.inputTokens + total.outputTokens).toLocaleString()}</span>tokens (${total.inputTokens.toLocaleString()} in / ${total.outputTokens.toLocaleString()} out)</div>
+                <div class="analytics-stat"><span class="analytics-stat-value">${formatCost(total.cost)}</span>estimated cost${total.unpriced > 0 ? ` (${total.unpriced} unpriced calls)` : ''}</div>
+            </div>
+            <div class="analytics-card">
+                <h4>🧩 By Feature</h4>
+                ${this.renderTable('Feature', Object.keys(usageFeatures)
+                    .filter(feature => byFeature[feature])
+                    .map(feature => [usageFeatures[feature], byFeature[feature]]))}
+            </div>
+            <div class="analytics-card">
+                <h4>📅 By Day</h4>
+                ${this.renderTable('Day', days.map(day => [new Date(`${day}T00:00:00`).toLocaleDateString(), byDay[day]]))}
+            </div>
+            <div class="analytics-card">
+                <h4>🧠 Same Usage on Each Model</h4>
+                <ul class="analytics-list">
+                    ${Object.keys(geminiModels).map(model => `
+                        <li><strong>${geminiModels[model]}</strong> - ${formatCost(estimateCost(model, total.inputTokens, total.outputTokens))}</li>
+                    `).join('')}
+                </ul>
+                <p class="usage-note">Estimates use list prices per million tokens and may not match your bill. Calls to other providers are counted but not priced.</p>
+            </div>
+            <div class="review-actions">
+                <button class="usage-clear-btn" data-action="clear-usage">🗑️ Clear Usage History</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Table of [label, totals] rows
+     */
+    renderTable(labelHeading, rows) {
+        return `
+            <table class="usage-table">
+                <thead>
+                    <tr><th>${labelHeading}</th><th>Calls</th><th>Input tokens</th><th>Output tokens</th><th>Est. cost</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, totals]) => `
+                        <tr>
+                            <td>${label}</td>
+                            <td>${totals.requests.toLocaleString()}</td>
+                            <td>${totals.inputTokens.toLocaleString()}</td>
+                            <td>${totals.outputTokens.toLocaleString()}</td>
+                            <td>${formatCost(totals.cost)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Delete all recorded usage
+     */
+    async clearUsage() {
+        await clearStore('usage');
+        await this.renderUsagePanel();
+    }
+}
\ No newline at end of file
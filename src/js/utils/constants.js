@@ -19,6 +19,22 @@ export const languageNames = {
     'English': 'English'
 };
 
+// BCP 47 codes used to pick speech synthesis/recognition voices
+export const languageCodes = {
+    'Spanish': 'es-ES',
+    'French': 'fr-FR',
+    'Italian': 'it-IT',
+    'German': 'de-DE',
+    'Portuguese': 'pt-PT',
+    'Dutch': 'nl-NL',
+    'Russian': 'ru-RU',
+    'Japanese': 'ja-JP',
+    'Korean': 'ko-KR',
+    'Chinese (Simplified)': 'zh-CN',
+    'Arabic': 'ar-SA',
+    'English': 'en-US'
+};
+
 // Available Gemini models with their API endpoints
 export const geminiModels = {
     'flash-lite': 'gemini-2.5-flash-lite-preview-06-17',
@@ -26,6 +42,61 @@ export const geminiModels = {
     'pro': 'gemini-1.5-pro-latest'
 };
 
+// Lighter model to fall back to when a Gemini model hits its rate limit
+export const geminiModelFallbacks = {
+    'pro': 'flash',
+    'flash': 'flash-lite'
+};
+
+// Request scheduling: concurrency limit and retry backoff for LLM calls
+export const REQUEST_SCHEDULER = {
+    maxConcurrent: 3,     // Requests in flight at once
+    maxRetries: 3,        // Retries after a rate limit, server error or network failure
+    baseDelayMs: 1000,    // First backoff delay, doubled on each retry
+    maxDelayMs: 60000     // Longest single wait, including Retry-After
+};
+
+// Structured output: follow-up requests asking the model to fix a response that fails its schema
+export const STRUCTURED_OUTPUT = {
+    repairAttempts: 1
+};
+
+// Estimated Gemini pricing in USD per million tokens (check Google's pricing page for current rates)
+export const modelPricing = {
+    'flash-lite': { input: 0.10, output: 0.40 },
+    'flash': { input: 0.30, output: 2.50 },
+    'pro': { input: 1.25, output: 5.00 }
+};
+
+// Features API usage is tagged with (feature key → label)
+export const usageFeatures = {
+    story: 'Stories',
+    rating: 'Grading',
+    lesson: 'Lessons',
+    chat: 'Chat',
+    other: 'Other'
+};
+
+// Available LLM providers; non-Gemini providers take a free-form model name
+export const llmProviders = {
+    'gemini': {
+        name: 'Google Gemini',
+        requiresApiKey: true
+    },
+    'openai': {
+        name: 'OpenAI-compatible',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini',
+        requiresApiKey: false // Local servers such as llama.cpp don't need one
+    },
+    'ollama': {
+        name: 'Ollama (local)',
+        defaultBaseUrl: 'http://localhost:11434',
+        defaultModel: 'llama3.1',
+        requiresApiKey: false
+    }
+};
+
 // Story theme prompts and variations
 export const storyVariants = {
     'daily_life': [
@@ -114,14 +185,87 @@ export const cefrSpecs = {
         grammar: "All grammatical structures, subtle distinctions, stylistic variations",
         sentences: "Complex sentences (20+ words), sophisticated discourse markers, varied rhetorical devices",
         complexity: "Nuanced arguments, cultural subtleties, implicit criticism or praise, sophisticated humor"
+    },
+    c2: {
+        description: "Proficiency level",
+        vocabulary: "Near-native vocabulary (8000+ words), rare and literary words, colloquialisms, idioms and shifts of register",
+        grammar: "Full, flexible command of all structures including rare and literary forms, used deliberately for effect",
+        sentences: "Sentences of any length and structure, varied deliberately for rhythm and emphasis",
+        complexity: "Fine shades of meaning, irony, wordplay, implicit attitudes and culturally specific allusions"
     }
 };
 
+// Levels offered in the difficulty selector, easiest first
+export const cefrLevels = ['A1', 'A1+', 'A2', 'A2+', 'B1', 'B1+', 'B2', 'B2+', 'C1', 'C2'];
+
+// When to recommend a level change, based on recent grades at the current level
+export const LEVEL_ADJUSTMENT = {
+    recentSessions: 3,   // Graded sessions at the current level to consider
+    minSentences: 8,     // Graded sentences needed before recommending anything
+    raiseAtScore: 3.4,   // Average grade points (A=4 ... F=0) to move up
+    lowerAtScore: 1.8    // Average grade points to move down
+};
+
+// Tap-to-gloss: words glossed per request (each entry takes ~40-50 output tokens)
+export const GLOSS = {
+    wordsPerRequest: 30
+};
+
+// Persistent cache of LLM responses (defaults; both are configurable in the API settings)
+export const RESPONSE_CACHE = {
+    ttlHours: 168,     // How long a cached response stays valid (0 disables the cache)
+    maxEntries: 500    // Oldest responses are evicted beyond this
+};
+
+// Offline practice: stories generated per batch and kept per language
+export const STORY_BANK = {
+    batchSize: 5,       // Stories generated per "save for offline" click
+    maxPerLanguage: 50  // Oldest stories are dropped beyond this
+};
+
+// Error categories for structured sentence grading (schema enum value → label)
+export const errorCategories = {
+    'verb_tense': 'Verb tense',
+    'agreement': 'Agreement',
+    'article': 'Article',
+    'preposition': 'Preposition',
+    'word_order': 'Word order',
+    'vocabulary': 'Vocabulary',
+    'spelling': 'Spelling'
+};
+
+// Placement test: an adaptive staircase over the cefrSpecs levels
+export const PLACEMENT = {
+    startLevel: 'B1',
+    itemCount: 8,    // Items asked before recommending a level
+    passScore: 0.7   // Item score (0-1) needed to count as passed
+};
+
+// Points per letter grade, used to average and chart grades
+export const gradePoints = {
+    'A': 4,
+    'B': 3,
+    'C': 2,
+    'D': 1,
+    'F': 0
+};
+
+// Chat memory limits (tokens are estimated at ~4 characters each)
+export const CHAT_MEMORY = {
+    maxHistoryTokens: 3000,     // Budget for earlier turns sent with each message
+    summarizeAfterExchanges: 8, // Fold older exchanges into a summary beyond this many
+    keepRecentExchanges: 4      // Exchanges always kept verbatim
+};
+
 // Default application settings
 export const DEFAULT_SETTINGS = {
     sourceLanguage: 'Spanish',
     targetLanguage: 'English', 
     difficulty: 'A1',
     theme: 'daily_life',
-    model: 'flash-lite'
+    model: 'flash-lite',
+    provider: 'gemini',
+    practiceMode: 'translation',
+    autoAdjustLevel: false,
+    speechRate: 0.9
 };
\ No newline at end of file
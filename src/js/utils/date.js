@@ -0,0 +1,14 @@
+/**
+ * Date Utilities
+ */
+
+/**
+ * Local calendar day (YYYY-MM-DD) of a date or timestamp, e.g. for grouping
+ * records by day or stamping filenames
+ */
+export function dayKey(timestamp = Date.now()) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * IndexedDB Storage
+ * Shared database connection and promise helpers for persisted learner data
+ */
+
+const DB_NAME = 'getfluentnow';
+
+// One upgrade step per schema version; append a step to add stores or indexes
+const upgrades = [
+    // v1: practice sessions
+    (db) => {
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+        sessions.createIndex('createdAt', 'createdAt');
+        sessions.createIndex('languagePair', 'languagePair');
+    },
+    // v2: spaced-repetition flashcards
+    (db) => {
+        const flashcards = db.createObjectStore('flashcards', { keyPath: 'id' });
+        flashcards.createIndex('languagePair', 'languagePair');
+        flashcards.createIndex('dueAt', 'dueAt');
+    },
+    // v3: offline story bank and queued grading requests
+    (db) => {
+        const stories = db.createObjectStore('stories', { keyPath: 'id' });
+        stories.createIndex('language', 'language');
+        const gradingQueue = db.createObjectStore('gradingQueue', { keyPath: 'id' });
+        gradingQueue.createIndex('createdAt', 'createdAt');
+    },
+    // v4: cached LLM responses
+    (db) => {
+        const responseCache = db.createObjectStore('responseCache', { keyPath: 'key' });
+        responseCache.createIndex('createdAt', 'createdAt');
+    },
+    // v5: token usage per API call
+    (db) => {
+        const usage = db.createObjectStore('usage', { keyPath: 'id' });
+        usage.createIndex('createdAt', 'createdAt');
+    }
+];
+
+const DB_VERSION = upgrades.length;
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and upgrade if needed) the app database
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                upgrades[version](db, request.transaction);
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Get an object store within a new transaction
+ */
+async function getStore(storeName, mode = 'readonly') {
+    const db = await openDatabase();
+    return db.transaction(storeName, mode).objectStore(storeName);
+}
+
+/**
+ * Get a single record by key
+ */
+export async function getRecord(storeName, key) {
+    const store = await getStore(storeName);
+    return promisifyRequest(store.get(key));
+}
+
+/**
+ * Get all records, optionally through an index and key range
+ */
+export async function getAllRecords(storeName, indexName = null, query = null) {
+    const store = await getStore(storeName);
+    const source = indexName ? store.index(indexName) : store;
+    return promisifyRequest(source.getAll(query));
+}
+
+/**
+ * Insert or replace a record
+ */
+export async function putRecord(storeName, record) {
+    const store = await getStore(storeName, 'readwrite');
+    await promisifyRequest(store.put(record));
+    return record;
+}
+
+/**
+ * Delete a record by key
+ */
+export async function deleteRecord(storeName, key) {
+    const store = await getStore(storeName, 'readwrite');
+    return promisifyRequest(store.delete(key));
+}
+
+/**
+ * Remove every record from a store
+ */
+export async function clearStore(storeName) {
+    const store = await getStore(storeName, 'readwrite');
+    return promisifyRequest(store.clear());
+}
+
+/**
+ * Generate a unique record id
+ */
+export function generateId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
\ No newline at end of file
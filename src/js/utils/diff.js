@@ -0,0 +1,181 @@
+import { tokenizeWords } from './text.js';
+
+/**
+ * Text Diff Utilities
+ * Word- and character-level comparison used to score transcriptions
+ */
+
+/**
+ * Normalize a word for comparison: lowercase, no surrounding punctuation
+ */
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/^[^\p{L}\p{M}\p{N}]+|[^\p{L}\p{M}\p{N}]+$/gu, '');
+}
+
+/**
+ * Normalize text for comparison: lowercase, punctuation removed, single spaces
+ */
+export function normalizeForComparison(text) {
+    return (text || '')
+        .split(/\s+/)
+        .map(normalizeWord)
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Normalize an exercise answer: like normalizeForComparison, and also
+ * ignoring accents on Latin, Greek and Cyrillic letters (é = e, ё = е)
+ */
+export function normalizeAnswer(text) {
+    return normalizeForComparison(text)
+        .normalize('NFD')
+        .replace(/([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu, '$1')
+        .normalize('NFC');
+}
+
+/**
+ * Longest-common-subsequence diff of two arrays.
+ * Returns ops in order: { type: 'equal' | 'delete' | 'insert', expected?, actual?, index? }
+ * ('delete' = only in expected, 'insert' = only in actual; index is the position in expected)
+ */
+export function diffSequences(expected, actual, equals = (a, b) => a === b) {
+    const rows = expected.length;
+    const cols = actual.length;
+    const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lengths[i][j] = equals(expected[i], actual[j])
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (equals(expected[i], actual[j])) {
+            ops.push({ type: 'equal', expected: expected[i], actual: actual[j], index: i });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            ops.push({ type: 'delete', expected: expected[i], index: i++ });
+        } else {
+            ops.push({ type: 'insert', actual: actual[j++] });
+        }
+    }
+    while (i < rows) ops.push({ type: 'delete', expected: expected[i], index: i++ });
+    while (j < cols) ops.push({ type: 'insert', actual: actual[j++] });
+
+    return ops;
+}
+
+/**
+ * Character-level diff of two words (case-insensitive)
+ */
+export function diffCharacters(expected, actual) {
+    return diffSequences(
+        Array.from(expected),
+        Array.from(actual),
+        (a, b) => a.toLowerCase() === b.toLowerCase()
+    );
+}
+
+/**
+ * Word-level diff of two texts, ignoring case and punctuation.
+ * Returns parts: { type: 'equal', text, index } | { type: 'missing', text, index } | { type: 'extra', text }
+ * | { type: 'substitution', expected, actual, chars, index } where chars is a character diff.
+ * index is the word's position in tokenizeWords(expectedText), matching the spans from renderWordSpans.
+ */
+export function diffWords(expectedText, actualText) {
+    const expectedWords = tokenizeWords(expectedText || '').map(token => token.word);
+    const actualWords = tokenizeWords(actualText || '').map(token => token.word);
+
+    const ops = diffSequences(expectedWords, actualWords, (a, b) => normalizeWord(a) === normalizeWord(b));
+
+    // Pair up runs of missing/extra words between matches as substitutions
+    const parts = [];
+    let deleted = [];
+    let inserted = [];
+
+    const flush = () => {
+        const pairs = Math.min(deleted.length, inserted.length);
+        for (let k = 0; k < pairs; k++) {
+            parts.push({
+                type: 'substitution',
+                expected: deleted[k].expected,
+                actual: inserted[k],
+                chars: diffCharacters(normalizeWord(deleted[k].expected), normalizeWord(inserted[k])),
+                index: deleted[k].index
+            });
+        }
+        deleted.slice(pairs).forEach(op => parts.push({ type: 'missing', text: op.expected, index: op.index }));
+        inserted.slice(pairs).forEach(text => parts.push({ type: 'extra', text }));
+        deleted = [];
+        inserted = [];
+    };
+
+    ops.forEach(op => {
+        if (op.type === 'equal') {
+            flush();
+            parts.push({ type: 'equal', text: op.expected, index: op.index });
+        } else if (op.type === 'delete') {
+            deleted.push(op);
+        } else {
+            inserted.push(op.actual);
+        }
+    });
+    flush();
+
+    return parts;
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export function levenshtein(a, b) {
+    const source = Array.from(a);
+    const target = Array.from(b);
+    let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= source.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= target.length; j++) {
+            const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[target.length];
+}
+
+/**
+ * Score a transcription against the original text.
+ * Accuracies are 0-1; words is the word-level diff for display.
+ */
+export function scoreTranscription(original, transcript) {
+    const expected = normalizeForComparison(original);
+    const actual = normalizeForComparison(transcript);
+
+    const maxLength = Math.max(Array.from(expected).length, Array.from(actual).length);
+    const characterAccuracy = maxLength === 0 ? 1 : 1 - levenshtein(expected, actual) / maxLength;
+
+    const words = diffWords(original, transcript);
+    const expectedCount = words.filter(part => part.type !== 'extra').length;
+    const correctCount = words.filter(part => part.type === 'equal').length;
+    const extraCount = words.filter(part => part.type === 'extra').length;
+    const wordAccuracy = expectedCount === 0
+        ? (extraCount === 0 ? 1 : 0)
+        : Math.max(0, (correctCount - extraCount * 0.5) / expectedCount);
+
+    return {
+        characterAccuracy,
+        wordAccuracy,
+        correctWords: correctCount,
+        totalWords: expectedCount,
+        words
+    };
+}
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * File Download Utilities
+ * Save generated text as a file through a temporary object URL
+ */
+
+/**
+ * Download text content as a file
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * API Key Vault
+ * Stores the API key in one of three ways, chosen by the user:
+ *   'local'     - plain text in localStorage (remembered on this device)
+ *   'encrypted' - AES-GCM encrypted in localStorage with a key derived from a
+ *                 passphrase (PBKDF2); the passphrase is needed on every visit
+ *   'session'   - sessionStorage only, forgotten when the tab is closed
+ */
+
+const MODE_KEY = 'api_key_storage';
+const PLAIN_KEY = 'gemini_api_key';
+const VAULT_KEY = 'gemini_api_key_vault';
+
+// OWASP's recommended PBKDF2-HMAC-SHA256 work factor
+const PBKDF2_ITERATIONS = 310000;
+
+export const keyStorageModes = ['local', 'encrypted', 'session'];
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * AES-GCM key derived from a passphrase and salt
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    return await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt an API key with a passphrase into a storable record
+ */
+export async function encryptApiKey(apiKey, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+
+    return {
+        version: 1,
+        iterations: PBKDF2_ITERATIONS,
+        salt: toBase64(salt),
+        iv: toBase64(iv),
+        ciphertext: toBase64(ciphertext)
+    };
+}
+
+/**
+ * Decrypt a record from encryptApiKey; throws if the passphrase is wrong
+ */
+export async function decryptApiKey(record, passphrase) {
+    const key = await deriveKey(passphrase, fromBase64(record.salt), record.iterations);
+    try {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(record.iv) }, key, fromBase64(record.ciphertext));
+        return new TextDecoder().decode(plaintext);
+    } catch (error) {
+        throw new Error('Wrong passphrase');
+    }
+}
+
+/**
+ * Selected storage mode ('local' unless the user picked another)
+ */
+export function getKeyStorageMode() {
+    const mode = localStorage.getItem(MODE_KEY);
+    return keyStorageModes.includes(mode) ? mode : 'local';
+}
+
+/**
+ * Remember the storage mode for the next visit
+ */
+export function setKeyStorageMode(mode) {
+    localStorage.setItem(MODE_KEY, keyStorageModes.includes(mode) ? mode : 'local');
+}
+
+/**
+ * Whether an encrypted key is waiting to be unlocked
+ */
+export function hasEncryptedApiKey() {
+    return getKeyStorageMode() === 'encrypted' && localStorage.getItem(VAULT_KEY) !== null;
+}
+
+/**
+ * The stored key when it can be read without a passphrase, else null
+ */
+export function readStoredApiKey() {
+    const mode = getKeyStorageMode();
+    if (mode === 'local') return localStorage.getItem(PLAIN_KEY);
+    if (mode === 'session') return sessionStorage.getItem(PLAIN_KEY);
+    return null;
+}
+
+/**
+ * Decrypt the stored encrypted key
+ */
+export async function unlockStoredApiKey(passphrase) {
+    const record = JSON.parse(localStorage.getItem(VAULT_KEY) || 'null');
+    if (!record) {
+        throw new Error('No encrypted API key is stored');
+    }
+    return await decryptApiKey(record, passphrase);
+}
+
+/**
+ * Store the key in the current mode, removing copies kept by other modes
+ */
+export async function storeApiKey(apiKey, passphrase = '') {
+    const mode = getKeyStorageMode();
+    if (mode === 'encrypted' && !passphrase) {
+        throw new Error('Enter a passphrase to encrypt your API key');
+    }
+
+    const record = mode === 'encrypted' ? await encryptApiKey(apiKey, passphrase) : null;
+    clearStoredApiKey();
+
+    if (mode === 'local') {
+        localStorage.setItem(PLAIN_KEY, apiKey);
+    } else if (mode === 'session') {
+        sessionStorage.setItem(PLAIN_KEY, apiKey);
+    } else {
+        localStorage.setItem(VAULT_KEY, JSON.stringify(record));
+    }
+}
+
+/**
+ * Remove the key from every storage
+ */
+export function clearStoredApiKey() {
+    localStorage.removeItem(PLAIN_KEY);
+    localStorage.removeItem(VAULT_KEY);
+    sessionStorage.removeItem(PLAIN_KEY);
+}
\ No newline at end of file
@@ -0,0 +1,48 @@
+import { cefrLevels, gradePoints, LEVEL_ADJUSTMENT } from './constants.js';
+
+/**
+ * CEFR Level Advisor
+ * Recommends moving a level up or down from recent sentence grades
+ */
+
+/**
+ * Step a level up (+1) or down (-1), staying within the supported levels
+ */
+export function stepLevel(level, change) {
+    const index = cefrLevels.indexOf(level);
+    if (index === -1) return level;
+
+    return cefrLevels[Math.min(cefrLevels.length - 1, Math.max(0, index + change))];
+}
+
+/**
+ * Recommend a level from graded sessions (newest first) for one language pair.
+ * Only the most recent sessions at the current level count, so a change
+ * starts fresh at the new level. Returns { level, change, averageScore, sentenceCount }
+ * where change is 1 (move up), -1 (move down) or 0 (stay).
+ */
+export function recommendLevel(currentLevel, sessions) {
+    const grades = sessions
+        .filter(session => session.level === currentLevel && session.sentenceFeedback?.length > 0)
+        .slice(0, LEVEL_ADJUSTMENT.recentSessions)
+        .flatMap(session => session.sentenceFeedback.map(item => item.grade));
+
+    const stay = { level: currentLevel, change: 0, averageScore: null, sentenceCount: grades.length };
+    if (grades.length < LEVEL_ADJUSTMENT.minSentences) {
+        return stay;
+    }
+
+    const averageScore = grades.reduce((sum, grade) => sum + (gradePoints[grade] ?? gradePoints.C), 0) / grades.length;
+
+    let change = 0;
+    if (averageScore >= LEVEL_ADJUSTMENT.raiseAtScore) change = 1;
+    if (averageScore <= LEVEL_ADJUSTMENT.lowerAtScore) change = -1;
+
+    const level = stepLevel(currentLevel, change);
+    return {
+        level,
+        change: level === currentLevel ? 0 : change,
+        averageScore,
+        sentenceCount: grades.length
+    };
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * HTML Sanitization Utilities
+ * Every model or user string must pass through one of these before it is
+ * put into innerHTML: escapeHtml for plain text, renderMarkdown for text
+ * rendered as markdown. Markdown output is cleaned by DOMPurify (loaded from
+ * the CDN) with an allowlist of formatting tags; if DOMPurify is unavailable
+ * the text is escaped instead of being rendered.
+ */
+
+// Tags and attributes markdown may produce
+const ALLOWED_TAGS = [
+    'p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a', 'span'
+];
+const ALLOWED_ATTR = ['href', 'title', 'lang'];
+
+/**
+ * Escape a string for use as HTML text or a quoted attribute value
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Strip everything but allowlisted formatting from an HTML string
+ */
+export function sanitizeHtml(html) {
+    if (typeof DOMPurify === 'undefined' || !DOMPurify.sanitize) {
+        return escapeHtml(html);
+    }
+
+    return DOMPurify.sanitize(html, {
+        ALLOWED_TAGS,
+        ALLOWED_ATTR,
+        ALLOW_DATA_ATTR: false
+    });
+}
+
+/**
+ * Render markdown to sanitized HTML (escaped plain text without marked)
+ */
+export function renderMarkdown(text) {
+    const markdown = String(text ?? '');
+    if (typeof marked === 'undefined' || !marked.parse) {
+        return escapeHtml(markdown);
+    }
+    return sanitizeHtml(marked.parse(markdown));
+}
\ No newline at end of file
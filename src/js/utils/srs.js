@@ -0,0 +1,75 @@
+/**
+ * Spaced Repetition Utilities
+ * SM-2 style scheduling for flashcards
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+
+// Review buttons mapped to SM-2 quality scores (0-5)
+export const reviewGrades = {
+    again: { label: 'Again', quality: 1 },
+    hard: { label: 'Hard', quality: 3 },
+    good: { label: 'Good', quality: 4 },
+    easy: { label: 'Easy', quality: 5 }
+};
+
+/**
+ * Initial scheduling state for a new card (due immediately)
+ */
+export function createSchedule(now = Date.now()) {
+    return {
+        easeFactor: 2.5,
+        interval: 0,
+        repetitions: 0,
+        dueAt: now,
+        lastReviewedAt: null,
+        reviewCount: 0
+    };
+}
+
+/**
+ * Apply a review with the given quality (0-5) and return the updated card
+ */
+export function scheduleReview(card, quality, now = Date.now()) {
+    let { easeFactor, interval, repetitions } = card;
+
+    if (quality < 3) {
+        // Failed recall: start the sequence over
+        repetitions = 0;
+        interval = 1;
+    } else {
+        if (repetitions === 0) {
+            interval = 1;
+        } else if (repetitions === 1) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * easeFactor);
+        }
+        repetitions += 1;
+    }
+
+    easeFactor = Math.max(
+        MIN_EASE_FACTOR,
+        easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    return {
+        ...card,
+        easeFactor,
+        interval,
+        repetitions,
+        dueAt: now + interval * DAY_MS,
+        lastReviewedAt: now,
+        reviewCount: (card.reviewCount || 0) + 1
+    };
+}
+
+/**
+ * Whether a card is due on or before the end of today
+ */
+export function isDueToday(card, now = Date.now()) {
+    const endOfDay = new Date(now);
+    endOfDay.setHours(23, 59, 59, 999);
+    return card.dueAt <= endOfDay.getTime();
+}
\ No newline at end of file
@@ -78,4 +78,53 @@ export function getStoryParams(theme, customTheme = null) {
         theme: getThemeDisplayName(theme),
         variant: getRandomVariant(theme)
     };
+}
+
+// Recently used custom themes kept for reuse and profile export
+const CUSTOM_THEMES_KEY = 'custom_themes';
+const MAX_CUSTOM_THEMES = 20;
+
+/**
+ * Merge custom theme lists, keeping the latest use of each theme, most recent first
+ */
+export function mergeCustomThemes(...lists) {
+    const byTheme = new Map();
+    lists.flat().forEach(entry => {
+        if (!entry || typeof entry.theme !== 'string' || !entry.theme.trim()) return;
+        const key = entry.theme.trim().toLowerCase();
+        const usedAt = Number(entry.usedAt) || 0;
+        if (!byTheme.has(key) || byTheme.get(key).usedAt < usedAt) {
+            byTheme.set(key, { theme: entry.theme.trim(), usedAt });
+        }
+    });
+
+    return [...byTheme.values()]
+        .sort((a, b) => b.usedAt - a.usedAt)
+        .slice(0, MAX_CUSTOM_THEMES);
+}
+
+/**
+ * Saved custom themes, most recent first
+ */
+export function loadCustomThemes() {
+    try {
+        return mergeCustomThemes(JSON.parse(localStorage.getItem(CUSTOM_THEMES_KEY) || '[]'));
+    } catch (error) {
+        console.warn('Could not load custom themes:', error);
+        return [];
+    }
+}
+
+/**
+ * Replace the saved custom themes
+ */
+export function saveCustomThemes(themes) {
+    localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify(mergeCustomThemes(themes)));
+}
+
+/**
+ * Record a custom theme as just used
+ */
+export function rememberCustomTheme(theme) {
+    saveCustomThemes([{ theme, usedAt: Date.now() }, ...loadCustomThemes()]);
 }
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Text Rendering Utilities
+ * Helpers for rendering story text as individually addressable words
+ */
+
+// Letters, marks and numbers (with inner apostrophes/hyphens) make up a word
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’\-][\p{L}\p{M}\p{N}]+)*/gu;
+
+/**
+ * Split text into word tokens with their character offsets.
+ * Uses Intl.Segmenter where available so languages written without
+ * spaces (Japanese, Chinese) still split into words.
+ */
+export function tokenizeWords(text) {
+    const tokens = [];
+
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        const segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+        for (const segment of segmenter.segment(text)) {
+            if (segment.isWordLike) {
+                tokens.push({
+                    word: segment.segment,
+                    start: segment.index,
+                    end: segment.index + segment.segment.length
+                });
+            }
+        }
+        return tokens;
+    }
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+        tokens.push({
+            word: match[0],
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Replace an element's content with the text, wrapping each word in a
+ * <span class="story-word" data-start data-end> so it can be highlighted
+ * and tapped for its gloss
+ */
+export function renderWordSpans(element, text) {
+    element.textContent = '';
+    let cursor = 0;
+
+    tokenizeWords(text).forEach(token => {
+        if (token.start > cursor) {
+            element.appendChild(document.createTextNode(text.slice(cursor, token.start)));
+        }
+
+        const span = document.createElement('span');
+        span.className = 'story-word';
+        span.dataset.action = 'gloss-word';
+        span.dataset.start = token.start;
+        span.dataset.end = token.end;
+        span.textContent = token.word;
+        element.appendChild(span);
+
+        cursor = token.end;
+    });
+
+    if (cursor < text.length) {
+        element.appendChild(document.createTextNode(text.slice(cursor)));
+    }
+}
+
+/**
+ * Render a word diff from diffWords(): matching words, missed words, extra words
+ * and substituted words with the wrong characters marked.
+ * actualLabel describes where the compared text came from ("You wrote", "Heard").
+ */
+export function renderWordDiff(element, parts, { actualLabel = 'You wrote' } = {}) {
+    parts.forEach(part => {
+        const span = document.createElement('span');
+
+        if (part.type === 'substitution') {
+            span.className = 'diff-word diff-substitution';
+            span.title = `${actualLabel} "${part.actual}"`;
+            // Missed characters are marked, extra characters struck through
+            part.chars.forEach(op => {
+                const char = document.createElement({ equal: 'span', delete: 'mark', insert: 'del' }[op.type]);
+                char.textContent = op.type === 'insert' ? op.actual : op.expected;
+                span.appendChild(char);
+            });
+        } else {
+            span.className = `diff-word diff-${part.type}`;
+            span.textContent = part.text;
+            if (part.type === 'missing') span.title = 'Missed word';
+            if (part.type === 'extra') span.title = 'Not in the original';
+        }
+
+        element.appendChild(span);
+        element.appendChild(document.createTextNode(' '));
+    });
+}
\ No newline at end of file
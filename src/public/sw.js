@@ -0,0 +1,60 @@
+/**
+ * Get Fluent Now service worker
+ * Caches the app shell and CDN scripts so banked stories can be practiced
+ * offline. LLM API calls are never cached and simply fail while offline.
+ */
+
+const CACHE_NAME = 'getfluentnow-v1';
+const APP_SHELL = ['./', './index.html'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Store a successful response in the cache
+ */
+function cacheResponse(request, response) {
+    if (response.ok || response.type === 'opaque') {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    // Pages: network first so updates show up, cached copy when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => cacheResponse(request, response))
+                .catch(() => caches.match(request).then(cached => cached || caches.match('./index.html')))
+        );
+        return;
+    }
+
+    // Same-origin assets and CDN scripts/styles: cache first
+    if (sameOrigin || request.destination === 'script' || request.destination === 'style') {
+        event.respondWith(
+            caches.match(request).then(cached => cached || fetch(request).then(response => cacheResponse(request, response)))
+        );
+    }
+});
\ No newline at end of file